@@ -4,9 +4,21 @@
 // DISCORD_TOKEN=...
 // APP_ID=...
 // GUILD_ID=...
+// STATE_FILE=./data/state.json   (optional; mount a Railway volume here to survive redeploys)
+// CONFIG_FILE=./data/config.json (optional; stations, feeds & settings managed through slash commands)
+// STATS_FILE=./data/stats.json   (optional; listening analytics)
+// CACHE_DIR=./data/cache         (optional; downloaded episode audio)
+// CACHE_MAX_MB=2048              (optional; 0 disables the download cache)
+// SCHEDULE_TZ=UTC                (optional; default timezone for /schedule add)
+// HTTP_PORT=8080                 (optional; status/control API — off when unset)
+// API_TOKEN=...                  (optional; bearer token for the API's POST endpoints)
+// LOG_LEVEL=info                 (optional; debug | info | warn | error — logs are JSON lines)
+//
+// Stations are set up with /radio setup. These only bootstrap a first station when none is configured:
 // VOICE_CHANNEL_ID=...
 // RSS_URL=...
 // ANNOUNCE_CHANNEL_ID=...
+// NEW_EPISODE_POLICY=off          (off | next | queue — what to do with newly released episodes)
 
 import 'dotenv/config';
 import {
@@ -16,10 +28,14 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  StringSelectMenuBuilder,
   Partials,
   Events,
   REST,
   Routes,
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+  ChannelType,
 } from 'discord.js';
 import {
   joinVoiceChannel,
@@ -33,8 +49,16 @@ import {
 } from '@discordjs/voice';
 import Parser from 'rss-parser';
 import { spawn } from 'node:child_process';
+import { PassThrough, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { EventEmitter, once } from 'node:events';
+import fs from 'node:fs';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
 import ffmpeg from 'ffmpeg-static';
-import sodium from 'libsodium-wrappers';
 import axios from 'axios';
 
 // ─────────────────────────── ENV ───────────────────────────
@@ -45,11 +69,79 @@ const {
   VOICE_CHANNEL_ID,
   RSS_URL,
   ANNOUNCE_CHANNEL_ID,
+  STATE_FILE = './data/state.json',
+  CONFIG_FILE = './data/config.json',
+  STATS_FILE = './data/stats.json',
+  CACHE_DIR = './data/cache',
+  CACHE_MAX_MB = '2048',
+  SCHEDULE_TZ = 'UTC',
+  HTTP_PORT,
+  API_TOKEN,
+  LOG_LEVEL = 'info',
+  NEW_EPISODE_POLICY = 'off',
 } = process.env;
 
-if (!DISCORD_TOKEN || !VOICE_CHANNEL_ID || !RSS_URL || !APP_ID) {
-  console.error('❌ Missing env. Require: DISCORD_TOKEN, APP_ID, VOICE_CHANNEL_ID, RSS_URL');
-  process.exit(1);
+// ─────────────────────── Logging ───────────────────────
+// One JSON object per line: { time, level, msg, station?, error?, stack?, ...fields }.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_THRESHOLD = LOG_LEVELS[String(LOG_LEVEL).toLowerCase()] ?? LOG_LEVELS.info;
+
+function writeLog(level, msg, { st, err, ...fields } = {}) {
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return;
+  const entry = { time: new Date().toISOString(), level, msg };
+  if (st) Object.assign(entry, { station: st.id, label: st.label });
+  if (err !== undefined) entry.error = err?.message || String(err);
+  if (level === 'error' && err?.stack) entry.stack = err.stack;
+  Object.assign(entry, fields);
+  let line;
+  try { line = JSON.stringify(entry); } catch { line = JSON.stringify({ time: entry.time, level, msg }); }
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
+};
+
+// ─────────────────────── Event Bus ───────────────────────
+// Playback lifecycle events. Announcements, presence, analytics and the HTTP API
+// subscribe here instead of being called from the playback code. Every payload
+// carries the station (`st`) and a timestamp (`at`); episodes are the feed objects.
+const PLAYBACK_EVENTS = [
+  'episodeStarted',  // { episode, index, total } — first audio of an episode from the top (not repeats of the same one)
+  'playing',         // { episode, offsetMs, fromStart, announced } — first audio of any stream (start, resume, seek, retry);
+                     // fromStart on every play from 0 (replays too), announced when episodeStarted went out for it
+  'paused',          // { offsetMs, reason: 'manual' | 'listeners' }
+  'resumed',         // { offsetMs }
+  'seeked',          // { offsetMs }
+  'skipped',         // { episode, by: 'member' | 'vote' | 'api', userId? }
+  'episodeFinished', // { episode }
+  'failed',          // { episode, reason, attempt }
+  'offAir',          // { episode, reason, until } — a live source couldn't be reached
+  'listenerJoined',  // { userId, listeners }
+  'listenerLeft',    // { userId, listeners }
+  'feedUpdated',     // { added, removed, changed, total }
+];
+
+const bus = new EventEmitter();
+
+function emitPlaybackEvent(st, type, data = {}) {
+  bus.emit(type, { st, at: new Date().toISOString(), ...data });
+}
+
+// A failing subscriber is logged and never breaks playback or the other subscribers.
+function subscribe(types, handler) {
+  for (const type of [].concat(types)) {
+    bus.on(type, (event) => {
+      try {
+        Promise.resolve(handler(event, type)).catch(e => log.error(`${type} subscriber failed`, { st: event.st, err: e }));
+      } catch (e) {
+        log.error(`${type} subscriber failed`, { st: event.st, err: e });
+      }
+    });
+  }
 }
 
 // ─────────────────────── Config ───────────────────────
@@ -60,13 +152,141 @@ const SELF_DEAFEN = true;
 const OPUS_BITRATE = '96k';
 const OPUS_CHANNELS = '2';
 const OPUS_APP = 'audio';
+const VOLUME_MAX = 200; // percent
+const SPEED_MIN = 0.5; // single atempo stage
+const SPEED_MAX = 2;
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11'; // EBU R128, podcast target
 
 const FETCH_UA = 'Mozilla/5.0 (PodcastPlayer/1.0; +https://discord.com)';
 const FETCH_ACCEPT = 'audio/mpeg,audio/*;q=0.9,*/*;q=0.8';
+const FEED_UA = 'discord-podcast-radio/1.0';
+const FEED_ACCEPT = 'application/rss+xml,application/xml;q=0.9,text/xml;q=0.8,*/*;q=0.5';
+const FEED_TIMEOUT_MS = 30000;
+const FEED_MAX_REDIRECTS = 5;
+const FEED_ALERT_AFTER = 3; // consecutive failed fetches before the admin channel hears about it
+
+const CACHE_MAX_BYTES = Math.max(0, Number(CACHE_MAX_MB) || 0) * 1024 * 1024;
 
 const STARTUP_WATCHDOG_MS = 45000;
+const STREAM_RETRY_LIMIT = 3;
+const STREAM_RETRY_BASE_MS = 2000; // doubles per attempt
+const STREAM_RETRY_MAX_MS = 30000;
+const STREAM_RETRY_WINDOW_MS = 10 * 60 * 1000; // failures further apart than this start a fresh count
+const STREAM_RETRY_REWIND_MS = 5000; // replay a little before the point of failure
+const STREAM_EXIT_WAIT_MS = 2000;
+// ffmpeg's own reports of an input it couldn't finish reading (after its reconnects);
+// decode glitches in an otherwise complete file also reach stderr and don't count
+const FFMPEG_INPUT_ERROR_RE = /Input\/output error|Connection (?:reset by peer|refused|timed out)/i;
+const TRUNCATION_MARGIN_MS = 2 * 60 * 1000; // ending this far before the listed duration gets a log line
+const QUARANTINE_MS = 6 * 60 * 60 * 1000;
+const LIVE_OFF_AIR_MS = 15 * 60 * 1000; // an unreachable live source sits out this long, without alerts
+const LIVE_SLOT_MS = 60 * 60 * 1000; // a live source never ends by itself; cap each airing
+const SNIFF_BYTES = 16;
+const NOW_PLAYING_TICK_MS = 15000;
+const NOW_PLAYING_MIN_EDIT_MS = 5000; // Discord rate-limits message edits per channel
+const PROGRESS_BAR_WIDTH = 18;
+const DURATION_PROBE_TIMEOUT_MS = 20000;
+const DURATION_CACHE_LIMIT = 200;
+const API_BODY_LIMIT = 64 * 1024;
+const SSE_PING_MS = 25000;
+const ID3_MAX_BYTES = 4 * 1024 * 1024; // chapter frames sit in the tag, often behind embedded artwork
+const CHAPTER_CACHE_LIMIT = 200;
+const CHAPTER_PREV_GRACE_MS = 3000;
+const NOTES_PAGE_CHARS = 2000;
+const TRANSCRIPT_CACHE_LIMIT = 20;
+const TRANSCRIPT_BEFORE_MS = 30000;
+const TRANSCRIPT_AFTER_MS = 60000;
+const CAPTION_TICK_MS = 5000;
+
+const SCHEDULE_TICK_MS = 20000;
+const SCHEDULE_REMINDER_MS = 15 * 60 * 1000;
+const SCHEDULE_LOOKAHEAD_DAYS = 35;
+const SCHEDULE_LIMIT = 25;
+const SEEK_STEP_MS = 30000;
+const EPISODES_PAGE_SIZE = 10;
+const AUTOCOMPLETE_LIMIT = 25;
+const QUEUE_LIMIT = 50;
+const UP_NEXT_PREVIEW = 5;
+
+const FEED_ROTATIONS = {
+  merged: 'Merged by date',
+  interleave: 'Interleave shows',
+  weighted: 'Weighted by show',
+};
+const MAX_FEED_WEIGHT = 10;
+
+const PLAYBACK_MODES = {
+  chronological: 'Chronological',
+  newest: 'Newest first',
+  shuffle: 'Shuffle',
+  repeat: 'Repeat episode',
+};
+
+const NEW_EPISODE_POLICIES = {
+  off: 'Leave the rotation alone',
+  next: 'Play next',
+  queue: 'Add to the queue',
+};
+
+// Who may use a command. Admins (Manage Server) always may; 'dj' falls back to
+// 'listener' while the station has no DJ role.
+const PERMISSION_LEVELS = {
+  everyone: 'Anyone',
+  listener: 'Listeners in the voice channel',
+  dj: 'DJs in the voice channel',
+  admin: 'Server admins',
+};
+// Keys are command names, or "command subcommand" to override one subcommand
+const DEFAULT_COMMAND_RULES = {
+  nowplaying: 'everyone',
+  episodes: 'everyone',
+  'queue list': 'everyone',
+  play: 'dj',
+  skip: 'dj',
+  restart: 'dj',
+  pause: 'dj',
+  resume: 'dj',
+  seek: 'dj',
+  forward: 'dj',
+  rewind: 'dj',
+  queue: 'dj',
+  mode: 'dj',
+  volume: 'dj',
+  speed: 'dj',
+  loudnorm: 'dj',
+  chapter: 'dj',
+  'chapter list': 'everyone',
+  shownotes: 'everyone',
+  transcript: 'everyone',
+  schedule: 'admin',
+  'schedule list': 'everyone',
+  stats: 'everyone',
+  'stats export': 'admin',
+  history: 'everyone',
+  catchup: 'everyone',
+  feed: 'admin',
+};
 const RESUME_RESTART_THRESHOLD_MS = 300000; // 5 minutes
 
+const STATE_SAVE_INTERVAL_MS = 15000;
+
+const STATS_TICK_MS = 15000;
+const STATS_MIN_SESSION_MS = 5000; // shorter visits aren't listening
+const STATS_SESSION_LIMIT = 5000;  // per station, oldest dropped first
+const STATS_TOP = 5;
+const HISTORY_LIMIT = 15;
+
+const MAX_RELEASE_ANNOUNCEMENTS = 5; // per refresh; a feed migration shouldn't flood the channel
+const RELEASED_KEYS_LIMIT = 1000; // keys of episodes no longer in the feed; current ones are always kept
+
+if (!NEW_EPISODE_POLICIES[NEW_EPISODE_POLICY]) {
+  log.warn(`Unknown NEW_EPISODE_POLICY "${NEW_EPISODE_POLICY}" — new episodes won't change the rotation.`);
+}
+if (!isValidTimezone(SCHEDULE_TZ)) {
+  log.error(`Unknown SCHEDULE_TZ "${SCHEDULE_TZ}" — use an IANA name like Europe/Berlin.`);
+  process.exit(1);
+}
+
 // ───────────────────── Discord Client ─────────────────────
 const client = new Client({
   intents: [
@@ -76,10 +296,6 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-const player = createAudioPlayer({
-  behaviors: { noSubscriber: NoSubscriberBehavior.Play },
-});
-
 // ───────────────────── Presence ─────────────────────
 function cleanTitleForStatus(title) {
   if (!title) return 'Podcast';
@@ -90,498 +306,3856 @@ function cleanTitleForStatus(title) {
     .trim()
     .replace(/\b\w/g, c => c.toUpperCase()) || 'Podcast';
 }
-function setListeningStatus(title) {
-  try { client.user?.setActivity(cleanTitleForStatus(title), { type: 2 }); } catch {}
+// Presence is per bot, not per station: it follows whichever station started an episode last.
+function setListeningStatus(ep) {
+  const title = cleanTitleForStatus(ep?.title);
+  const text = ep?.show ? `${title} · ${ep.show}` : title;
+  try { client.user?.setActivity(text.slice(0, 128), { type: 2 }); } catch {}
 }
 
-// ───────────────────── RSS Fetch ─────────────────────
-const parser = new Parser({ headers: { 'User-Agent': 'discord-podcast-radio/1.0' } });
-let episodes = [];
-let episodeIndex = 0;
+// ───────────────────── Stations ─────────────────────
+// One station per voice channel. Everything that used to be a module-level
+// singleton (player, connection, episodes, position, queue…) lives on the station.
+const stations = new Map(); // voiceChannelId → station
 
-async function fetchEpisodes() {
-  try {
-    const feed = await parser.parseURL(RSS_URL);
-    const items = (feed.items || [])
-      .map((it) => {
-        const url = it?.enclosure?.url || it?.link || it?.guid;
-        const desc = it?.contentSnippet || it?.content || it?.summary || '';
-        return {
-          title: it?.title || 'Untitled',
-          url,
-          pubDate: it?.pubDate ? new Date(it.pubDate).getTime() : 0,
-          link: it?.link || url || null,
-          description: String(desc || '').replace(/\s+/g, ' ').trim(),
-        };
-      })
-      .filter(x => typeof x.url === 'string' && x.url.startsWith('http'));
+function normalizeFeeds(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(f => typeof f?.url === 'string')
+    .map(f => ({ url: f.url, name: f.name || null, weight: Number(f.weight) || 1, live: !!f.live }));
+}
+
+// `player` is injectable so playback can be driven without a voice connection (tests).
+function createStation(cfg, { player = createAudioPlayer({ behaviors: { noSubscriber: NoSubscriberBehavior.Play } }) } = {}) {
+  const st = {
+    id: cfg.voiceChannelId,
+    guildId: cfg.guildId || null,
+    voiceChannelId: cfg.voiceChannelId,
+    announceChannelId: cfg.announceChannelId || null,
+    newEpisodePolicy: NEW_EPISODE_POLICIES[cfg.newEpisodePolicy] ? cfg.newEpisodePolicy : 'off',
+    label: cfg.label || cfg.voiceChannelId,
+    djRoleId: cfg.djRoleId || null,
+    identUrl: cfg.identUrl || null, // short clip played between episodes
+    liveCaptions: !!cfg.liveCaptions, // post transcript lines to a thread while playing
+    adminChannelId: cfg.adminChannelId || null, // operator alerts (failing episodes)
+    volume: Math.min(VOLUME_MAX, Math.max(0, Number(cfg.volume ?? 100) || 0)), // percent
+    speed: Math.min(SPEED_MAX, Math.max(SPEED_MIN, Number(cfg.speed) || 1)),
+    loudnorm: !!cfg.loudnorm,
+    // Programming blocks: { id, when, cron, timezone, episodeKey, feedUrl, label }
+    schedules: Array.isArray(cfg.schedules) ? cfg.schedules.filter(sc => sc?.id && parseCron(sc.cron)) : [],
+    skipChapterTitles: Array.isArray(cfg.skipChapterTitles) ? cfg.skipChapterTitles.filter(t => typeof t === 'string') : [],
+    voteSkipPercent: Math.min(100, Math.max(0, Number(cfg.voteSkipPercent) || 0)), // 0 = DJs/listeners skip directly
+    commandRules: Object.fromEntries(
+      Object.entries(cfg.commandRules || {}).filter(([cmd, level]) => DEFAULT_COMMAND_RULES[cmd] && PERMISSION_LEVELS[level]),
+    ),
+
+    // Feeds: { url, name, weight } — name falls back to the feed's own title
+    feeds: normalizeFeeds(cfg.feeds),
+    feedHealth: new Map(), // feedUrl → { failures, lastError, lastOkAt, skipped, alerted }
+    feedRotation: FEED_ROTATIONS[cfg.feedRotation] ? cfg.feedRotation : 'merged',
+    feedCursors: {}, // feedUrl → key of the last episode started from that feed
+    episodes: [],
+    episodeIndex: 0,
+
+    // Voice
+    player,
+    connection: null,
+    keepAliveInterval: null,
+
+    // Playback
+    hasStartedPlayback: false,
+    isPausedDueToEmpty: false,
+    pauseReason: null, // 'listeners' when auto-paused, otherwise 'manual'
+    resumeOffsetMs: 0,
+    startedAtMs: 0,
+    ffmpegProc: null,
+    currentEpisode: null,
+    playLock: false,
+    preload: null,   // { key, proc } — next episode's pipeline, started as the current one ends
+    identProc: null, // set while the station ident plays
+    playingKey: null, // episode whose stream has produced audio
+
+    // Chapters of the current episode: [{ startMs, endMs, title }]
+    chapters: [],
+    chaptersKey: null,
+    chapterTimer: null,
+
+    // Live captions: { key, thread, cues, lastMs, interval }
+    captions: null,
+
+    // Where to go back to once a scheduled programme ends: { key, offsetMs }
+    scheduledReturn: null,
+    scheduleMarks: {}, // schedule id → { fired, reminded } minute stamps
+
+    // Open listening sessions: user id → { key, startedAt, ms }
+    listenSessions: new Map(),
+    listenTickAt: 0,
+    listenPlaying: false,
+    catchupCued: false, // resume point was set by /catchup; don't restart it on return
 
-    items.sort((a, b) => a.pubDate - b.pubDate);
-    if (items.length) {
-      episodes = items;
-      console.log(`RSS Loaded: ${episodes.length} episodes`);
+    // Failures: retry count for the episode that's failing, and episodes sitting out a cooldown
+    streamRetry: null, // { key, attempts, lastAt }
+    quarantine: new Map(), // episode key → { title, reason, until, offAir? } (offAir: live source down)
+    liveSlotTimer: null, // ends the current live airing after LIVE_SLOT_MS
+
+    // Up-next: episode keys played before the rotation continues
+    upNext: [],
+    rotationReturnKey: null,
+    nextKey: null, // the episode on air left the feed: it plays out, then the rotation continues here
+
+    // Rotation order (see PLAYBACK_MODES); shuffleBag holds keys not yet played this cycle
+    playbackMode: 'chronological',
+    shuffleBag: [],
+
+    // Announcements + Buttons
+    announceChannel: null,
+    lastAnnouncedEpisodeKey: null,
+    lastNowPlayingMessage: null, // { channelId, messageId } — kept live until superseded
+    nowPlayingEdit: { lastAt: 0, timer: null },
+    releasedKeys: new Set(),
+    seededFeeds: new Set(), // feed URLs whose back catalogue is in releasedKeys
+
+    // Vote-skip: user ids voting to skip skipVoteKey (the episode they voted on)
+    skipVotes: new Set(),
+    skipVoteKey: null,
+  };
+
+  st.player.on(AudioPlayerStatus.Idle, () => {
+    if (st.isPausedDueToEmpty) return;
+    if (st.identProc) {
+      endIdent(st);
+      loopPlay(st);
+      return;
     }
-  } catch (err) {
-    console.error('RSS fetch failed:', err?.message || err);
-  }
-}
+    onEpisodeEnded(st).catch(e => log.error(`Episode end handling failed`, { st, err: e }));
+  });
 
-// ───────────────────── Streaming Layer ─────────────────────
-function inferInputFormat(contentType = '') {
-  const ct = (contentType || '').toLowerCase();
-  if (ct.includes('mpeg')) return 'mp3';
-  if (ct.includes('x-m4a') || ct.includes('mp4') || ct.includes('aac')) return 'mp4';
-  return null;
-}
+  st.player.on(AudioPlayerStatus.Playing, () => accountListening(st));
 
-async function axiosStream(url) {
-  return axios.get(url, {
-    responseType: 'stream',
-    maxRedirects: 5,
-    headers: { 'User-Agent': FETCH_UA, 'Accept': FETCH_ACCEPT, 'Range': 'bytes=0-' },
-    timeout: 60000,
+  // The player goes Idle right after an error; the Idle handler decides what happens next
+  st.player.on('error', (err) => {
+    log.error(`AudioPlayer error`, { st, err });
+    if (st.ffmpegProc && !st.identProc) st.ffmpegProc.streamError = err?.message || 'audio player error';
   });
-}
 
-function spawnFfmpegFromStream(stream, fmt, offsetMs = 0) {
-  const skipSec = Math.floor(offsetMs / 1000).toString();
+  return st;
+}
 
-  const args = [
-    '-hide_banner',
-    '-loglevel', 'error',
-    '-protocol_whitelist', 'file,http,https,tcp,tls,pipe',
-    '-ss', skipSec,
-    ...(fmt ? ['-f', fmt] : []),
-    '-i', 'pipe:0',
-    '-vn',
-    '-ac', OPUS_CHANNELS,
-    '-ar', '48000',
-    '-c:a', 'libopus',
-    '-b:a', OPUS_BITRATE,
-    '-application', OPUS_APP,
-    '-f', 'ogg',
-    'pipe:1',
-  ];
+function stationConfig(st) {
+  return {
+    voiceChannelId: st.voiceChannelId,
+    guildId: st.guildId,
+    announceChannelId: st.announceChannelId,
+    newEpisodePolicy: st.newEpisodePolicy,
+    label: st.label,
+    djRoleId: st.djRoleId,
+    voteSkipPercent: st.voteSkipPercent,
+    identUrl: st.identUrl,
+    liveCaptions: st.liveCaptions,
+    adminChannelId: st.adminChannelId,
+    volume: st.volume,
+    speed: st.speed,
+    loudnorm: st.loudnorm,
+    schedules: st.schedules,
+    skipChapterTitles: st.skipChapterTitles,
+    commandRules: st.commandRules,
+    feeds: st.feeds,
+    feedRotation: st.feedRotation,
+  };
+}
 
-  const child = spawn(ffmpeg, args, { stdio: ['pipe', 'pipe', 'pipe'] });
-  stream.on('error', () => {});
-  stream.pipe(child.stdin);
-  child.stdin.on('error', () => {});
-  return child;
+// Slash commands act on the station whose voice channel the member is in,
+// or on the guild's only station.
+function resolveStation(interaction) {
+  const vch = interaction.member?.voice?.channelId;
+  if (vch && stations.has(vch)) return stations.get(vch);
+  const inGuild = [...stations.values()].filter(st => st.guildId === interaction.guildId);
+  return inGuild.length === 1 ? inGuild[0] : null;
 }
 
-// ───────────────────── Playback State ─────────────────────
-let hasStartedPlayback = false;
-let isPausedDueToEmpty = false;
-let resumeOffsetMs = 0;
-let startedAtMs = 0;
-let ffmpegProc = null;
-let currentEpisode = null;
-let playLock = false;
+function noStationMessage(interaction) {
+  const inGuild = [...stations.values()].filter(st => st.guildId === interaction.guildId);
+  return inGuild.length
+    ? 'This server has several stations — join one of their voice channels first.'
+    : 'No radio station here yet. An admin can create one with `/radio setup`.';
+}
 
-// Announcements + Buttons
-let announceChannel = null;
-let lastAnnouncedEpisodeIdx = -1;
-let lastNowPlayingMessage = null;
+// ───────────────────── Permissions ─────────────────────
+function ruleFor(st, command) {
+  const [name] = command.split(' ');
+  return st.commandRules[command] || DEFAULT_COMMAND_RULES[command]
+    || st.commandRules[name] || DEFAULT_COMMAND_RULES[name] || 'dj';
+}
 
-function hms(ms) {
-  const s = Math.max(0, Math.floor(ms / 1000));
-  const h = Math.floor(s / 3600);
-  const m = Math.floor((s % 3600) / 60);
-  const sec = s % 60;
-  return (h ? `${h}:` : '') + `${m.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
+function isAdmin(interaction) {
+  return !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
 }
 
-// ───────────────────── Button Controls ─────────────────────
-const BTN_IDS = {
-  PAUSE: 'ctl_pause',
-  RESUME: 'ctl_resume',
-  SKIP: 'ctl_skip',
-  RESTART: 'ctl_restart',
-};
+function isMemberInVoice(interaction, st) {
+  const member = interaction.member;
+  const vch = member?.voice?.channelId;
+  return vch && vch === st.voiceChannelId;
+}
 
-function buildControlsRow(isPaused) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId(isPaused ? BTN_IDS.RESUME : BTN_IDS.PAUSE)
-      .setStyle(ButtonStyle.Secondary)
-      .setLabel(isPaused ? 'Resume' : 'Pause')
-      .setEmoji(isPaused ? '▶️' : '⏯'),
-    new ButtonBuilder()
-      .setCustomId(BTN_IDS.SKIP)
-      .setStyle(ButtonStyle.Secondary)
-      .setLabel('Skip')
-      .setEmoji('⏭'),
-    new ButtonBuilder()
-      .setCustomId(BTN_IDS.RESTART)
-      .setStyle(ButtonStyle.Secondary)
-      .setLabel('Restart')
-      .setEmoji('🔁'),
-  );
+// member.roles is a manager for cached members, a plain id array otherwise
+function hasDjRole(interaction, st) {
+  const roles = interaction.member?.roles;
+  if (!st.djRoleId || !roles) return false;
+  return Array.isArray(roles) ? roles.includes(st.djRoleId) : roles.cache?.has(st.djRoleId);
 }
 
-// ───────────────────── Episode Announcement (Embed + Buttons) ─────────────────────
-function buildEpisodeEmbed(ep, index, total) {
-  const published = ep.pubDate ? new Date(ep.pubDate).toLocaleString() : 'Unknown';
-  const desc = (ep.description || '').slice(0, 300);
+// With vote-skip on, everyone but DJs and admins votes instead of skipping
+function isDj(interaction, st) {
+  return isAdmin(interaction) || hasDjRole(interaction, st);
+}
 
-  const embed = new EmbedBuilder()
-    .setColor(0x2b6cb0)
-    .setTitle(`Now Playing: ${ep.title}`)
-    .setDescription(desc ? `${desc}${ep.description.length > 300 ? '…' : ''}` : 'No description provided.')
-    .addFields(
-      { name: 'Episode', value: `${index + 1} of ${total}`, inline: true },
-      { name: 'Published', value: published, inline: true },
-    )
-    .setFooter({ text: 'Podcast Radio' });
+function usesVoteSkip(interaction, st) {
+  return st.voteSkipPercent > 0 && !isDj(interaction, st);
+}
 
-  const rows = [];
-  if (ep.link || ep.url) {
-    rows.push(new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setLabel('Open Episode').setStyle(ButtonStyle.Link).setURL(ep.link || ep.url),
-    ));
-  }
-  rows.push(buildControlsRow(false));
-  return { embed, components: rows };
+// A vote stands in for the DJ role only; a stricter (admin) skip rule still applies.
+function checkVoteSkipPermission(interaction, st) {
+  return ruleFor(st, 'skip') === 'dj' ? null : checkPermission(interaction, st, 'skip');
 }
 
-async function announceEpisodeStart(ep, idx, total) {
-  if (!announceChannel) return;
-  try {
-    const { embed, components } = buildEpisodeEmbed(ep, idx, total);
-    const msg = await announceChannel.send({ embeds: [embed], components });
-    lastNowPlayingMessage = { channelId: announceChannel.id, messageId: msg.id };
-  } catch (e) {
-    console.warn('Announcement failed:', e?.message || e);
+// Returns null when allowed, otherwise the message to show the member.
+function checkPermission(interaction, st, command) {
+  const level = ruleFor(st, command);
+  if (level === 'everyone' || isAdmin(interaction)) return null;
+
+  const label = `\`/${command}\``;
+  if (level === 'admin') return `Only server admins can use ${label}.`;
+  if (level === 'dj' && st.djRoleId && !hasDjRole(interaction, st)) {
+    return `Only members with the <@&${st.djRoleId}> role can use ${label}.`;
   }
+  if (!isMemberInVoice(interaction, st)) return `Join <#${st.voiceChannelId}> to use ${label}.`;
+  return null;
 }
 
-// Update control buttons (Pause ↔ Resume swap)
-async function updateControlsRow(isPaused) {
-  if (!lastNowPlayingMessage) return;
-  try {
-    const ch = await client.channels.fetch(lastNowPlayingMessage.channelId).catch(() => null);
-    if (!ch || !ch.isTextBased?.()) return;
-    const msg = await ch.messages.fetch(lastNowPlayingMessage.messageId).catch(() => null);
-    if (!msg) return;
+// ───────────────────── RSS Fetch ─────────────────────
+const parser = new Parser({
+  customFields: {
+    feed: [['itunes:new-feed-url', 'newFeedUrl']],
+    item: [
+      ['podcast:chapters', 'podcastChapters'],
+      ['podcast:transcript', 'podcastTranscripts', { keepArray: true }],
+    ],
+  },
+});
+// feedUrl → { title, image, etag, lastModified, items, skipped } from the last successful
+// fetch; items are reused when the server answers 304 Not Modified
+const feedMeta = new Map();
 
-    const newControls = buildControlsRow(isPaused);
-    const existing = msg.components || [];
-    const filtered = existing.filter(r =>
-      !r.components?.some(c => [BTN_IDS.PAUSE, BTN_IDS.RESUME, BTN_IDS.SKIP, BTN_IDS.RESTART].includes(c.customId))
-    );
-    const rows = [...filtered, newControls];
-    await msg.edit({ components: rows });
-  } catch {}
+// Stable identity for an episode across feed refreshes and restarts
+function episodeKey(ep) {
+  return ep ? (ep.guid || ep.url) : null;
 }
 
-// ───────────────────── Main Playback ─────────────────────
-async function playCurrent() {
-  if (playLock) return;
-  playLock = true;
+function findEpisodeIndex(st, key) {
+  if (!key) return -1;
+  return st.episodes.findIndex(ep => episodeKey(ep) === key);
+}
 
-  try {
-    if (!episodes.length) {
-      console.log('No episodes yet, retrying in 30s…');
-      setTimeout(loopPlay, 30_000);
-      return;
-    }
+// GUIDs and feed URLs are often long; Discord custom IDs and choice values cap at 100 chars.
+function shortHash(str) {
+  return crypto.createHash('sha1').update(String(str)).digest('hex').slice(0, 16);
+}
 
-    currentEpisode = episodes[episodeIndex % episodes.length];
-    const isNewEpisodeStart = resumeOffsetMs === 0 && episodeIndex !== lastAnnouncedEpisodeIdx;
+function episodeShortId(ep) {
+  return shortHash(episodeKey(ep));
+}
 
-    console.log(`Playing Episode ${episodeIndex + 1}/${episodes.length}: ${currentEpisode.title}${resumeOffsetMs ? ` (resume @ ${hms(resumeOffsetMs)})` : ''}`);
-    setListeningStatus(currentEpisode.title);
+function findEpisodeByShortId(st, id) {
+  return st.episodes.findIndex(ep => episodeShortId(ep) === id);
+}
 
-    const res = await axiosStream(currentEpisode.url);
-    const fmt = inferInputFormat(res.headers?.['content-type']);
-    ffmpegProc = spawnFfmpegFromStream(res.data, fmt, resumeOffsetMs);
+// Rank episodes against a free-text query: every word must appear in the title
+// or description; title hits weigh more, newer episodes win ties.
+function searchEpisodes(st, query, limit = AUTOCOMPLETE_LIMIT) {
+  const q = String(query || '').toLowerCase().trim();
+  const indexed = st.episodes.map((ep, idx) => ({ ep, idx }));
+  if (!q) return indexed.reverse().slice(0, limit);
 
-    let gotData = false;
-    const watchdog = setTimeout(() => {
-      if (!gotData && !isPausedDueToEmpty) {
-        console.warn('Startup timeout — skipping episode.');
-        try { ffmpegProc?.kill('SIGKILL'); } catch {}
-        resumeOffsetMs = 0;
-        episodeIndex = (episodeIndex + 1) % episodes.length;
-        setTimeout(loopPlay, 1000);
-      }
-    }, STARTUP_WATCHDOG_MS);
+  const words = q.split(/\s+/);
+  return indexed
+    .map(({ ep, idx }) => {
+      const title = ep.title.toLowerCase();
+      const desc = (ep.description || '').toLowerCase();
+      if (!words.every(w => title.includes(w) || desc.includes(w))) return null;
+      let score = title.includes(q) ? 100 : 0;
+      for (const w of words) score += title.includes(w) ? 10 : 2;
+      return { ep, idx, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.ep.pubDate - a.ep.pubDate)
+    .slice(0, limit);
+}
 
-    ffmpegProc.stdout.once('data', async () => {
-      gotData = true;
-      clearTimeout(watchdog);
-      startedAtMs = Date.now();
+// /play accepts an autocomplete pick, an episode number, or free text.
+function resolveEpisodeQuery(st, query) {
+  const q = String(query || '').trim();
+  if (!q) return -1;
+  const byId = findEpisodeByShortId(st, q);
+  if (byId !== -1) return byId;
+  if (/^#?\d+$/.test(q)) {
+    const n = parseInt(q.replace('#', ''), 10);
+    return n >= 1 && n <= st.episodes.length ? n - 1 : -1;
+  }
+  const [best] = searchEpisodes(st, q, 1);
+  return best ? best.idx : -1;
+}
 
-      if (isNewEpisodeStart) {
-        lastAnnouncedEpisodeIdx = episodeIndex;
-        await announceEpisodeStart(currentEpisode, episodeIndex, episodes.length);
-      }
-    });
+const DIFF_FIELDS = ['title', 'url', 'pubDate', 'link', 'description', 'show', 'chaptersUrl', 'transcriptUrl'];
 
-    const resource = createAudioResource(ffmpegProc.stdout, { inputType: StreamType.OggOpus });
-    player.play(resource);
-    isPausedDueToEmpty = false;
+// Transcript formats we can read, best first
+const TRANSCRIPT_TYPES = [
+  { format: 'vtt', match: /vtt/ },
+  { format: 'srt', match: /srt|subrip/ },
+  { format: 'json', match: /json/ },
+];
 
-  } catch (err) {
-    console.error('Playback error:', err?.message || err);
-    resumeOffsetMs = 0;
-    episodeIndex = (episodeIndex + 1) % episodes.length;
-    setTimeout(loopPlay, 1000);
-  } finally {
-    playLock = false;
+function pickTranscript(list) {
+  const links = (Array.isArray(list) ? list : []).map(t => t?.$).filter(t => t?.url);
+  for (const { format, match } of TRANSCRIPT_TYPES) {
+    const hit = links.find(t => match.test(String(t.type || '').toLowerCase()) || match.test(t.url.toLowerCase()));
+    if (hit) return { url: hit.url, format };
   }
+  return null;
 }
 
-function loopPlay() {
-  if (!hasStartedPlayback || isPausedDueToEmpty) return;
-  playCurrent().catch(() => setTimeout(loopPlay, 2000));
+function diffEpisodes(prev, next) {
+  const prevByKey = new Map(prev.map(ep => [episodeKey(ep), ep]));
+  const nextByKey = new Map(next.map(ep => [episodeKey(ep), ep]));
+
+  const added = next.filter(ep => !prevByKey.has(episodeKey(ep)));
+  const removed = prev.filter(ep => !nextByKey.has(episodeKey(ep)));
+  const changed = next.filter(ep => {
+    const old = prevByKey.get(episodeKey(ep));
+    return old && DIFF_FIELDS.some(f => old[f] !== ep[f]);
+  });
+  return { added, removed, changed };
 }
 
-player.on(AudioPlayerStatus.Idle, () => {
-  if (!isPausedDueToEmpty) {
-    resumeOffsetMs = 0;
-    episodeIndex = (episodeIndex + 1) % episodes.length;
-    setTimeout(loopPlay, 1000);
-  }
-});
+// Re-point episodeIndex at the same episode after the array is replaced.
+// If that episode was pulled from the feed, point at whatever the rotation would
+// have played after it; one still on air keeps playing (st.currentEpisode) first.
+function reconcileEpisodeIndex(st, prevEpisodes) {
+  if (!prevEpisodes.length || !st.episodes.length) return;
+  const prevCurrent = prevEpisodes[st.episodeIndex % prevEpisodes.length];
+  const idx = findEpisodeIndex(st, episodeKey(prevCurrent));
 
-player.on('error', (err) => {
-  console.error('AudioPlayer error:', err?.message || err);
-  if (!isPausedDueToEmpty) {
-    resumeOffsetMs = 0;
-    episodeIndex = (episodeIndex + 1) % episodes.length;
-    setTimeout(loopPlay, 1000);
+  if (idx !== -1) {
+    if (idx !== st.episodeIndex) log.info(`Episode index remapped ${st.episodeIndex + 1} → ${idx + 1} (${prevCurrent.title})`, { st });
+    st.episodeIndex = idx;
+    if (st.currentEpisode && episodeKey(st.currentEpisode) === episodeKey(st.episodes[idx])) st.currentEpisode = st.episodes[idx];
+    return;
   }
-});
 
-// ───────────────────── Voice Handling ─────────────────────
-let connection = null;
-let keepAliveInterval = null;
+  let newer = st.episodes.findIndex(ep => ep.pubDate > (prevCurrent.pubDate || 0));
+  if (newer === -1) newer = 0;
+  // The next newer episode is already chronological order's successor; other orders step from there
+  const nextIdx = ['chronological', 'repeat'].includes(st.playbackMode) ? newer : nextRotationIndex(st, newer);
+  st.episodeIndex = nextIdx;
 
-function startKeepAlive(conn) {
-  stopKeepAlive();
-  keepAliveInterval = setInterval(() => {
-    try { conn?.configureNetworking(); } catch {}
-  }, 15000);
+  const streaming = !st.isPausedDueToEmpty && st.player.state.status !== AudioPlayerStatus.Idle;
+  if (streaming && st.currentEpisode && findEpisodeIndex(st, episodeKey(st.currentEpisode)) === -1) {
+    st.nextKey = episodeKey(st.episodes[nextIdx]);
+  } else {
+    st.nextKey = null;
+    st.resumeOffsetMs = 0;
+  }
+  log.warn(`Current episode removed from feed (${prevCurrent.title}) — continuing with ${st.episodes[nextIdx].title}`, { st });
 }
-function stopKeepAlive() {
-  if (keepAliveInterval) clearInterval(keepAliveInterval);
-  keepAliveInterval = null;
+
+// True while the episode on air has left the feed and is playing out before nextKey.
+function playingRemovedEpisode(st) {
+  return !!st.nextKey && !!st.currentEpisode
+    && episodeKey(st.episodes[st.episodeIndex % st.episodes.length]) === st.nextKey
+    && findEpisodeIndex(st, episodeKey(st.currentEpisode)) === -1;
 }
 
-async function ensureConnection() {
-  const channel = await client.channels.fetch(VOICE_CHANNEL_ID).catch(() => null);
-  if (!channel || channel.type !== 2) throw new Error('VOICE_CHANNEL_ID must point to a voice channel');
+function feedName(feed) {
+  return feed.name || feedMeta.get(feed.url)?.title || new URL(feed.url).hostname;
+}
 
-  if (!connection) {
-    connection = joinVoiceChannel({
-      channelId: channel.id,
-      guildId: channel.guild.id,
-      adapterCreator: channel.guild.voiceAdapterCreator,
-      selfDeaf: SELF_DEAFEN,
-    });
+// A live source (Icecast mount or HLS playlist) is a single never-ending episode
+function liveEpisode(feedCfg) {
+  return {
+    guid: `live:${feedCfg.url}`,
+    title: feedName(feedCfg),
+    url: feedCfg.url,
+    pubDate: 0,
+    link: null,
+    description: 'Live stream',
+    show: feedName(feedCfg),
+    artwork: null,
+    feedUrl: feedCfg.url,
+    live: true,
+    chaptersUrl: null,
+    notesHtml: '',
+    transcriptUrl: null,
+    transcriptFormat: null,
+    durationMs: null,
+    mimeType: null,
+  };
+}
 
-    connection.on(VoiceConnectionStatus.Disconnected, async () => {
-      console.warn('Voice disconnected, retrying…');
-      try {
-        await Promise.race([
-          entersState(connection, VoiceConnectionStatus.Signalling, 5000),
-          entersState(connection, VoiceConnectionStatus.Connecting, 5000),
-        ]);
-      } catch {
-        setTimeout(() => {
-          try { connection?.destroy(); } catch {}
-          connection = null;
-          ensureConnection().catch(() => {});
-        }, REJOIN_DELAY_MS);
-      }
+// Conditional GET. Redirects are followed by hand so a chain of permanent ones
+// (301/308) can be recorded as the feed's new address.
+async function requestFeed(url, { force = false } = {}) {
+  const meta = feedMeta.get(url);
+  const headers = { 'User-Agent': FEED_UA, 'Accept': FEED_ACCEPT };
+  if (!force && meta?.items) {
+    if (meta.etag) headers['If-None-Match'] = meta.etag;
+    if (meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+  }
+
+  let target = url;
+  let permanent = true;
+  for (let hop = 0; hop <= FEED_MAX_REDIRECTS; hop++) {
+    const res = await axios.get(target, {
+      headers,
+      responseType: 'text',
+      maxRedirects: 0,
+      timeout: FEED_TIMEOUT_MS,
+      validateStatus: status => status < 400,
     });
+    const movedTo = permanent && target !== url ? target : null;
+    if (res.status === 304) return { notModified: true, movedTo };
+    if (res.status < 300) {
+      return { xml: res.data, etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null, movedTo };
+    }
+    if (!res.headers.location) throw new Error(`HTTP ${res.status} without a Location header`);
+    permanent = permanent && (res.status === 301 || res.status === 308);
+    target = new URL(res.headers.location, target).toString();
+  }
+  throw new Error('Too many redirects');
+}
 
-    connection.subscribe(player);
-    startKeepAlive(connection);
+function isHttpUrl(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch {
+    return false;
   }
 }
 
-// ───────────────────── Auto-Pause / Resume (Silent) ─────────────────────
-client.on('voiceStateUpdate', (oldState, newState) => {
-  const channel = oldState.channel || newState.channel;
-  if (!channel || channel.id !== VOICE_CHANNEL_ID) return;
+// Why an item can't be played, or null
+function itemProblem(it, seenGuids) {
+  if (!it?.enclosure?.url) return 'no enclosure';
+  if (!isHttpUrl(it.enclosure.url)) return 'enclosure is not an http(s) URL';
+  if (it.guid && seenGuids.has(it.guid)) return 'duplicate guid';
+  return null;
+}
 
-  const humans = channel.members.filter(m => !m.user.bot);
+// Returns { items, skipped, movedTo, notModified }. movedTo is the feed's new URL after a
+// permanent redirect or an itunes:new-feed-url; items already carry it as their feedUrl.
+async function fetchFeed(feedCfg, { force = false } = {}) {
+  if (feedCfg.live) return { items: [liveEpisode(feedCfg)], skipped: [], movedTo: null, notModified: false };
 
-  if (humans.size === 0) {
-    if (player.state.status === AudioPlayerStatus.Playing) {
-      const elapsed = Math.max(0, Date.now() - (startedAtMs || Date.now()));
-      resumeOffsetMs += elapsed;
-      isPausedDueToEmpty = true;
-      try { player.pause(); } catch {}
-      try { ffmpegProc?.kill('SIGKILL'); } catch {}
-      ffmpegProc = null;
-      console.log(`Paused @ ${hms(resumeOffsetMs)} (no listeners).`);
+  const res = await requestFeed(feedCfg.url, { force });
+  const cached = feedMeta.get(feedCfg.url);
+  if (res.notModified && cached?.items) {
+    if (res.movedTo) feedMeta.set(res.movedTo, cached);
+    return { items: cached.items, skipped: cached.skipped, movedTo: res.movedTo, notModified: true };
+  }
+
+  const feed = await parser.parseString(res.xml);
+  const declared = typeof feed?.newFeedUrl === 'string' ? feed.newFeedUrl.trim() : '';
+  const movedTo = res.movedTo || (isHttpUrl(declared) && declared !== feedCfg.url ? declared : null);
+  const feedUrl = movedTo || feedCfg.url;
+  const image = feed?.itunes?.image || feed?.image?.url || null;
+  const show = feedCfg.name || feed?.title || new URL(feedUrl).hostname;
+
+  const skipped = [];
+  const seenGuids = new Set();
+  const items = [];
+  for (const it of feed.items || []) {
+    const problem = itemProblem(it, seenGuids);
+    if (problem) {
+      skipped.push({ title: it?.title || 'Untitled', reason: problem });
+      continue;
     }
-    return;
+    if (it.guid) seenGuids.add(it.guid);
+    const url = it.enclosure.url;
+    const desc = it?.contentSnippet || it?.content || it?.summary || '';
+    const transcript = pickTranscript(it?.podcastTranscripts);
+    items.push({
+      guid: it?.guid || null,
+      title: it?.title || 'Untitled',
+      url,
+      pubDate: it?.pubDate ? new Date(it.pubDate).getTime() || 0 : 0,
+      link: it?.link || url || null,
+      description: String(desc || '').replace(/\s+/g, ' ').trim(),
+      show,
+      artwork: it?.itunes?.image || image,
+      feedUrl,
+      chaptersUrl: it?.podcastChapters?.$?.url || null,
+      notesHtml: it?.['content:encoded'] || it?.content || it?.itunes?.summary || '',
+      transcriptUrl: transcript?.url || null,
+      transcriptFormat: transcript?.format || null,
+      durationMs: parseTimestamp(String(it?.itunes?.duration || '')),
+      mimeType: it?.enclosure?.type || null,
+    });
   }
 
-  if (!hasStartedPlayback) {
-    hasStartedPlayback = true;
-    console.log('First listener joined — starting playback.');
-    loopPlay();
+  // Validators only belong to the URL that issued them; a declared move starts fresh
+  const meta = { title: feed?.title || null, image, etag: res.etag, lastModified: res.lastModified, items, skipped };
+  feedMeta.set(res.movedTo || feedCfg.url, meta);
+  if (movedTo && !res.movedTo) feedMeta.set(movedTo, { title: meta.title, image });
+  return { items, skipped, movedTo, notModified: false };
+}
+
+// Points the feed (and everything keyed by its URL) at its new address
+function moveFeed(st, feedCfg, newUrl) {
+  const oldUrl = feedCfg.url;
+  if (st.feeds.some(f => f !== feedCfg && f.url === newUrl)) {
+    log.warn(`Feed ${oldUrl} moved to ${newUrl}, which is already configured — keeping both.`, { st });
     return;
   }
+  feedCfg.url = newUrl;
+  for (const ep of st.episodes) if (ep.feedUrl === oldUrl) ep.feedUrl = newUrl;
+  if (st.feedCursors[oldUrl]) {
+    st.feedCursors[newUrl] = st.feedCursors[oldUrl];
+    delete st.feedCursors[oldUrl];
+  }
+  if (st.seededFeeds.delete(oldUrl)) st.seededFeeds.add(newUrl);
+  if (st.feedHealth.has(oldUrl)) {
+    st.feedHealth.set(newUrl, st.feedHealth.get(oldUrl));
+    st.feedHealth.delete(oldUrl);
+  }
+  saveConfig();
+  log.info(`Feed moved: ${oldUrl} → ${newUrl}`, { st });
+  notifyAdmins(st, `📦 **${truncate(feedName(feedCfg), 100)}** moved to ${newUrl} — the station config now uses the new address.`);
+}
 
-  const overThreshold = resumeOffsetMs >= RESUME_RESTART_THRESHOLD_MS;
+function feedHealthFor(st, url) {
+  if (!st.feedHealth.has(url)) st.feedHealth.set(url, { failures: 0, lastError: null, lastOkAt: null, skipped: [], alerted: false });
+  return st.feedHealth.get(url);
+}
 
-  if (isPausedDueToEmpty) {
-    if (overThreshold) {
-      resumeOffsetMs = 0;
-      console.log(`Returning listener — restarting episode (over threshold).`);
-      isPausedDueToEmpty = false;
-      playCurrent();
-    } else {
-      console.log(`Returning listener — resuming from ${hms(resumeOffsetMs)}.`);
-      isPausedDueToEmpty = false;
-      playCurrent();
-    }
-  }
-});
+// Tracks consecutive failures per feed; alerts once at FEED_ALERT_AFTER and again on recovery.
+function recordFeedResult(st, feedCfg, result) {
+  const health = feedHealthFor(st, feedCfg.url);
+  const name = truncate(feedName(feedCfg), 100);
 
-// ───────────────────── Slash Command Handlers ─────────────────────
-async function handleNowPlaying(interaction) {
-  if (!currentEpisode) {
-    await interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (result.status === 'rejected') {
+    health.failures += 1;
+    health.lastError = result.reason?.message || String(result.reason);
+    log.error(`RSS fetch failed (${feedName(feedCfg)}, ${health.failures}x)`, { st, err: health.lastError });
+    if (health.failures === FEED_ALERT_AFTER) {
+      health.alerted = true;
+      notifyAdmins(st, `⚠️ **${name}** has failed ${health.failures} fetches in a row (${truncate(health.lastError, 200)}). Its episodes stay in rotation from the last good fetch.\n${feedCfg.url}`);
+    }
     return;
   }
-  const elapsed = (player.state.status === AudioPlayerStatus.Playing)
-    ? Math.max(0, Date.now() - (startedAtMs || Date.now()))
-    : 0;
-  const offset = (isPausedDueToEmpty ? resumeOffsetMs : resumeOffsetMs + elapsed);
-  const idx = (episodeIndex % episodes.length) + 1;
-  await interaction.reply({
-    embeds: [
-      new EmbedBuilder()
-        .setColor(0x2b6cb0)
-        .setTitle(`Now Playing: ${currentEpisode.title}`)
-        .setDescription(currentEpisode.description ? currentEpisode.description.slice(0, 300) + (currentEpisode.description.length > 300 ? '…' : '') : '')
-        .addFields(
-          { name: 'Episode', value: `${idx} of ${episodes.length}`, inline: true },
-          { name: 'Position', value: hms(offset), inline: true },
-        )
-        .setFooter({ text: 'Podcast Radio' })
-    ],
-    components: (currentEpisode.link || currentEpisode.url)
-      ? [new ActionRowBuilder().addComponents(
-          new ButtonBuilder().setLabel('Open Episode').setStyle(ButtonStyle.Link).setURL(currentEpisode.link || currentEpisode.url)
-        )]
-      : [],
-    ephemeral: true,
-  });
-}
 
-async function handleSkip(interaction) {
-  if (!episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
-  resumeOffsetMs = 0;
-  episodeIndex = (episodeIndex + 1) % episodes.length;
-  await interaction.reply({ content: `Skipping to episode #${(episodeIndex % episodes.length) + 1}: ${episodes[episodeIndex].title}`, ephemeral: true });
-  playCurrent();
+  if (health.alerted) notifyAdmins(st, `✅ **${name}** is fetching again.`);
+  const before = new Set(health.skipped.map(x => `${x.title}\u0000${x.reason}`));
+  const fresh = result.value.skipped.filter(x => !before.has(`${x.title}\u0000${x.reason}`));
+  for (const x of fresh) log.warn(`Skipped item in ${feedName(feedCfg)}: "${x.title}" (${x.reason})`, { st });
+  Object.assign(health, { failures: 0, lastError: null, lastOkAt: Date.now(), skipped: result.value.skipped, alerted: false });
 }
 
-async function handleRestart(interaction) {
-  if (!currentEpisode) return interaction.reply({ content: 'Nothing to restart.', ephemeral: true });
-  resumeOffsetMs = 0;
-  await interaction.reply({ content: `Restarting: ${currentEpisode.title}`, ephemeral: true });
-  playCurrent();
+function describeFeedHealth(st, feedCfg) {
+  const health = st.feedHealth.get(feedCfg.url);
+  if (!health) return '';
+  const parts = [];
+  if (health.failures) parts.push(`⚠️ ${health.failures} failed fetch${health.failures === 1 ? '' : 'es'} (${truncate(health.lastError, 80)})`);
+  if (health.skipped.length) parts.push(`${health.skipped.length} item${health.skipped.length === 1 ? '' : 's'} skipped`);
+  return parts.length ? ` · ${parts.join(' · ')}` : '';
 }
 
-async function handlePause(interaction) {
-  if (player.state.status !== AudioPlayerStatus.Playing) {
-    return interaction.reply({ content: 'Already paused or not playing.', ephemeral: true });
+// Returns { added, removed, changed } against the previous fetch, or null on failure.
+// A feed that fails keeps its previous episodes so a hiccup doesn't drop a whole show.
+async function fetchEpisodes(st, { force = false } = {}) {
+  if (!st.feeds.length) {
+    log.warn(`No feeds configured — add one with /feed add.`, { st });
+    return null;
   }
-  const elapsed = Math.max(0, Date.now() - (startedAtMs || Date.now()));
-  resumeOffsetMs += elapsed;
-  isPausedDueToEmpty = true;
-  try { player.pause(); } catch {}
-  try { ffmpegProc?.kill('SIGKILL'); } catch {}
-  ffmpegProc = null;
-  await interaction.reply({ content: `Paused @ ${hms(resumeOffsetMs)}.`, ephemeral: true });
-  await updateControlsRow(true);
-}
+  try {
+    const feeds = [...st.feeds];
+    const results = await Promise.allSettled(feeds.map(f => fetchFeed(f, { force })));
+    feeds.forEach((f, i) => recordFeedResult(st, f, results[i]));
+    if (results.every(r => r.status === 'rejected')) return null;
 
-async function handleResume(interaction) {
-  if (player.state.status === AudioPlayerStatus.Playing && !isPausedDueToEmpty) {
-    return interaction.reply({ content: 'Already playing.', ephemeral: true });
+    const seen = new Set();
+    const items = results
+      .flatMap((r, i) => {
+        if (r.status === 'rejected') return st.episodes.filter(ep => ep.feedUrl === feeds[i].url);
+        if (r.value.movedTo) moveFeed(st, feeds[i], r.value.movedTo);
+        return r.value.items;
+      })
+      .filter((x) => {
+        const key = episodeKey(x);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    // Live sources (no date) go last so a fresh station starts on a podcast episode
+    items.sort((a, b) => (a.live - b.live) || a.pubDate - b.pubDate);
+    if (!items.length) return null;
+
+    const prev = st.episodes;
+    const diff = diffEpisodes(prev, items);
+    st.episodes = items;
+    reconcileEpisodeIndex(st, prev);
+
+    if (!prev.length) {
+      log.info(`RSS Loaded: ${st.episodes.length} episodes`, { st });
+    } else if (diff.added.length || diff.removed.length || diff.changed.length) {
+      log.info(`RSS Updated: ${st.episodes.length} episodes (+${diff.added.length} added, -${diff.removed.length} removed, ~${diff.changed.length} changed)`, {
+        st,
+        added: diff.added.map(ep => ep.title),
+        removed: diff.removed.map(ep => ep.title),
+        changed: diff.changed.map(ep => ep.title),
+      });
+    }
+    return diff;
+  } catch (err) {
+    log.error(`RSS fetch failed`, { st, err });
+    return null;
   }
-  isPausedDueToEmpty = false;
-  await interaction.reply({ content: `Resuming ${currentEpisode ? currentEpisode.title : 'playback'}…`, ephemeral: true });
-  playCurrent();
-  await updateControlsRow(false);
 }
 
-// ───────────────────── Button Interactions ─────────────────────
-function isMemberInVoice(interaction) {
-  const member = interaction.member;
-  const vch = member?.voice?.channelId;
-  return vch && vch === VOICE_CHANNEL_ID;
+// ───────────────────── Streaming Layer ─────────────────────
+// Input formats are ffmpeg demuxer names, plus 'hls'. Magic bytes win over the
+// Content-Type header, which wins over the URL's extension.
+const CONTENT_TYPE_FORMATS = [
+  [/mpegurl/, 'hls'], // before "mpeg"
+  [/mpeg|mp3/, 'mp3'],
+  [/mp4|m4a|m4b/, 'mp4'],
+  [/aac/, 'aac'],
+  [/ogg|opus/, 'ogg'],
+  [/flac/, 'flac'],
+  [/wav|wave/, 'wav'],
+];
+const EXTENSION_FORMATS = {
+  mp3: 'mp3', m4a: 'mp4', m4b: 'mp4', mp4: 'mp4', aac: 'aac',
+  ogg: 'ogg', oga: 'ogg', opus: 'ogg', flac: 'flac', wav: 'wav', m3u8: 'hls',
+};
+// A pipe can't carry these: MP4's index may sit at the end of the file, and HLS
+// is a playlist of segments. ffmpeg opens the URL itself instead.
+const URL_ONLY_FORMATS = new Set(['mp4', 'hls']);
+
+function formatFromContentType(contentType) {
+  const ct = String(contentType || '').toLowerCase();
+  return CONTENT_TYPE_FORMATS.find(([re]) => re.test(ct))?.[1] || null;
 }
 
-client.on(Events.InteractionCreate, async (interaction) => {
+function formatFromExtension(url) {
   try {
-    if (interaction.isChatInputCommand()) {
-      switch (interaction.commandName) {
-        case 'nowplaying': return handleNowPlaying(interaction);
-        case 'skip':       return handleSkip(interaction);
-        case 'restart':    return handleRestart(interaction);
-        case 'pause':      return handlePause(interaction);
-        case 'resume':     return handleResume(interaction);
-        default: return interaction.reply({ content: 'Unknown command.', ephemeral: true });
-      }
-    } else if (interaction.isButton()) {
-      // Only allow users in the same VC
-      if (!isMemberInVoice(interaction)) {
-        return interaction.reply({ content: 'You must be in the same voice channel to control playback.', ephemeral: true });
+    const ext = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+    return EXTENSION_FORMATS[ext] || null;
+  } catch {
+    return null;
+  }
+}
+
+function sniffFormat(head) {
+  if (!head?.length) return null;
+  const ascii = head.toString('latin1', 0, 16);
+  if (ascii.startsWith('#EXTM3U')) return 'hls';
+  if (ascii.startsWith('OggS')) return 'ogg';
+  if (ascii.startsWith('fLaC')) return 'flac';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WAVE') return 'wav';
+  if (ascii.slice(4, 8) === 'ftyp') return 'mp4';
+  if (ascii.startsWith('ID3')) return 'mp3';
+  if (head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return 'aac'; // ADTS: frame sync, layer 00
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'mp3'; // MPEG audio frame sync
+  return null;
+}
+
+function detectInputFormat({ head, contentType, url }) {
+  return sniffFormat(head) || formatFromContentType(contentType) || formatFromExtension(url);
+}
+
+// The first n bytes of a stream, pushed back so the consumer still sees them
+function peekStream(stream, n) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let got = 0;
+    const done = () => {
+      stream.off('data', onData);
+      stream.off('end', done);
+      stream.pause();
+      const head = Buffer.concat(chunks);
+      if (head.length && !stream.readableEnded) stream.unshift(head);
+      resolve(head);
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      got += chunk.length;
+      if (got >= n) done();
+    };
+    stream.on('data', onData);
+    stream.once('end', done);
+    stream.once('error', reject);
+  });
+}
+
+async function axiosStream(url, { signal } = {}) {
+  const res = await axios.get(url, {
+    signal,
+    responseType: 'stream',
+    maxRedirects: 5,
+    headers: { 'User-Agent': FETCH_UA, 'Accept': FETCH_ACCEPT, 'Range': 'bytes=0-' },
+    timeout: 60000,
+  });
+  // Aborting after the headers arrived has to end the body as well
+  signal?.addEventListener('abort', () => res.data.destroy(new Error('aborted')), { once: true });
+  return res;
+}
+
+// The station's -af chain. Offsets stay in episode time: `-ss` applies before atempo.
+// Live sources arrive in real time, so they're never sped up.
+function audioFilters(st, { live = false } = {}) {
+  const filters = [];
+  if (st.loudnorm) filters.push(LOUDNORM_FILTER);
+  if (st.volume !== 100) filters.push(`volume=${(st.volume / 100).toFixed(2)}`);
+  if (st.speed !== 1 && !live) filters.push(`atempo=${st.speed}`);
+  return filters;
+}
+
+// input is { stream, fmt, size } to pipe in (size: announced bytes, or 0), or { file } /
+// { url } for ffmpeg to open itself — then `-ss` seeks (by HTTP Range for urls)
+// instead of decoding up to it.
+function spawnFfmpeg(input, offsetMs = 0, filters = []) {
+  const skipSec = Math.floor(offsetMs / 1000).toString();
+  let source = ['-i', input.file];
+  if (input.stream) source = [...(input.fmt ? ['-f', input.fmt] : []), '-i', 'pipe:0'];
+  else if (input.url) source = ['-user_agent', FETCH_UA, '-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5', '-i', input.url];
+
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-protocol_whitelist', 'file,http,https,tcp,tls,crypto,pipe',
+    '-ss', skipSec,
+    ...source,
+    '-vn',
+    ...(filters.length ? ['-af', filters.join(',')] : []),
+    '-ac', OPUS_CHANNELS,
+    '-ar', '48000',
+    '-c:a', 'libopus',
+    '-b:a', OPUS_BITRATE,
+    '-application', OPUS_APP,
+    '-f', 'ogg',
+    'pipe:1',
+  ];
+
+  const child = spawn(ffmpeg, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  child.stdin.on('error', () => {});
+  let stderrTail = '';
+  child.stderr.on('data', (d) => {
+    const lines = (stderrTail + d).split('\n');
+    stderrTail = lines.pop().slice(-1000);
+    const failed = lines.find(l => FFMPEG_INPUT_ERROR_RE.test(l));
+    if (failed && !child.streamError) child.streamError = `input failed: ${failed.trim()}`;
+  });
+  if (input.stream) {
+    // A dropped download would leave ffmpeg waiting on stdin; end it and flag the cut-off
+    input.stream.on('error', (e) => {
+      child.streamError = `download failed: ${e?.message || e}`;
+      child.stdin.end();
+    });
+    let received = 0;
+    input.stream.on('data', (chunk) => { received += chunk.length; });
+    input.stream.once('end', () => {
+      if (input.size && received < input.size) child.streamError ||= `download ended after ${received} of ${input.size} bytes`;
+    });
+    input.stream.pipe(child.stdin);
+    // Let go of the download once ffmpeg is gone (killed on skip/pause, or done)
+    child.once('close', () => input.stream.destroy());
+  } else {
+    child.stdin.end();
+  }
+  return child;
+}
+
+// Enclosure length when the feed has no itunes:duration. ffmpeg-static ships no
+// ffprobe, so read the "Duration:" line ffmpeg prints for an input-only run.
+const probedDurations = new Map(); // episode key → ms, or a pending promise
+
+function episodeDurationMs(ep) {
+  if (!ep) return null;
+  const probed = probedDurations.get(episodeKey(ep));
+  return ep.durationMs || (typeof probed === 'number' ? probed : null);
+}
+
+function probeDuration(ep) {
+  const key = episodeKey(ep);
+  if (probedDurations.has(key)) return Promise.resolve(probedDurations.get(key));
+
+  const file = cachedFile(ep);
+  const source = file ? ['-i', file] : ['-user_agent', FETCH_UA, '-i', ep.url];
+  const pending = new Promise((resolve) => {
+    let stderr = '';
+    const child = spawn(ffmpeg, ['-hide_banner', ...source], { stdio: ['ignore', 'ignore', 'pipe'] });
+    const timer = setTimeout(() => { try { child.kill('SIGKILL'); } catch {} }, DURATION_PROBE_TIMEOUT_MS);
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('error', () => {});
+    child.on('close', () => {
+      clearTimeout(timer);
+      const m = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      resolve(m ? Math.round((Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3])) * 1000) : null);
+    });
+  }).then((ms) => {
+    if (ms) probedDurations.set(key, ms);
+    else probedDurations.delete(key);
+    if (probedDurations.size > DURATION_CACHE_LIMIT) probedDurations.delete(probedDurations.keys().next().value);
+    return ms;
+  });
+  probedDurations.set(key, pending);
+  return pending;
+}
+
+// ───────────────────── Episode Cache ─────────────────────
+// Whole enclosures on disk, shared by all stations. Least recently played files
+// are evicted past CACHE_MAX_BYTES; a file's mtime is its last use.
+const downloads = new Map(); // cache file → in-flight download
+
+function cacheFileFor(ep) {
+  return path.join(CACHE_DIR, shortHash(episodeKey(ep)));
+}
+
+function cachedFile(ep) {
+  if (!CACHE_MAX_BYTES || !ep || !isCacheable(ep)) return null;
+  const file = cacheFileFor(ep);
+  try {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return file;
+  } catch {
+    return null;
+  }
+}
+
+async function downloadTo(url, file) {
+  const res = await axiosStream(url);
+  const size = Number(res.headers?.['content-length']) || 0;
+  if (size > CACHE_MAX_BYTES) {
+    res.data.destroy();
+    throw new Error('larger than the cache');
+  }
+  await writeCacheFile([res.data], file, size);
+}
+
+// Written to `.part` and renamed once complete, so a cut-off download is never served.
+async function writeCacheFile(streams, file, expectedSize = 0) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const part = `${file}.part`;
+  try {
+    await pipeline(...streams, fs.createWriteStream(part));
+    if (expectedSize && fs.statSync(part).size < expectedSize) throw new Error('download cut short');
+    fs.renameSync(part, file);
+  } catch (e) {
+    fs.rmSync(part, { force: true });
+    throw e;
+  }
+}
+
+function trackDownload(ep, file, download) {
+  const job = download
+    .then(() => {
+      log.info(`Cached: ${ep.title}`);
+      evictCache();
+    })
+    .catch(e => log.warn(`Cache download failed (${ep.title})`, { err: e }))
+    .finally(() => downloads.delete(file));
+  downloads.set(file, job);
+  return job;
+}
+
+// Only whole files are cached; live streams and HLS playlists are always fetched fresh.
+function isCacheable(ep) {
+  return !ep.live && (formatFromContentType(ep.mimeType) || formatFromExtension(ep.url)) !== 'hls';
+}
+
+function prefetchEpisode(ep) {
+  if (!CACHE_MAX_BYTES || !ep?.url || !isCacheable(ep)) return null;
+  const file = cacheFileFor(ep);
+  if (downloads.has(file)) return downloads.get(file);
+  if (fs.existsSync(file)) return null;
+  return trackDownload(ep, file, downloadTo(ep.url, file));
+}
+
+// Split an enclosure response between playback and the cache, so a first play
+// downloads the episode once. The returned stream is for ffmpeg; once ffmpeg lets
+// go of it the response keeps filling the cache file by itself.
+function teeIntoCache(ep, res) {
+  const file = cacheFileFor(ep);
+  const size = Number(res.headers?.['content-length']) || 0;
+  if (!CACHE_MAX_BYTES || downloads.has(file) || size > CACHE_MAX_BYTES) return res.data;
+
+  // Copies each chunk to playback on its way to the file, waiting for playback to
+  // take it (ffmpeg reads in real time) until playback goes away
+  const playback = new PassThrough();
+  const tap = new Transform({
+    transform(chunk, encoding, done) {
+      if (playback.destroyed || playback.write(chunk)) return done(null, chunk);
+      const go = () => {
+        playback.off('drain', go);
+        playback.off('close', go);
+        done(null, chunk);
+      };
+      playback.on('drain', go);
+      playback.on('close', go);
+    },
+    flush(done) {
+      playback.end();
+      done();
+    },
+  });
+  res.data.on('error', e => playback.destroy(e));
+  trackDownload(ep, file, writeCacheFile([res.data, tap], file, size));
+  return playback;
+}
+
+function evictCache() {
+  if (!CACHE_MAX_BYTES) return;
+  let entries;
+  try {
+    entries = fs.readdirSync(CACHE_DIR).map((name) => {
+      const file = path.join(CACHE_DIR, name);
+      return { file, ...fs.statSync(file) };
+    });
+  } catch {
+    return;
+  }
+
+  // Leftovers from a crash mid-download
+  for (const e of entries) {
+    if (e.file.endsWith('.part') && !downloads.has(e.file.slice(0, -'.part'.length))) fs.rmSync(e.file, { force: true });
+  }
+
+  const playing = new Set([...stations.values()].filter(st => st.currentEpisode).map(st => cacheFileFor(st.currentEpisode)));
+  const files = entries.filter(e => !e.file.endsWith('.part')).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = files.reduce((sum, e) => sum + e.size, 0);
+  for (const e of files) {
+    if (total <= CACHE_MAX_BYTES) break;
+    if (playing.has(e.file)) continue;
+    fs.rmSync(e.file, { force: true });
+    total -= e.size;
+    log.info(`Evicted from cache: ${path.basename(e.file)}`);
+  }
+}
+
+// Cached file if we have it; otherwise stream from the start (filling the cache
+// as it plays), or let ffmpeg Range-request its way to the offset.
+async function openEpisodeInput(ep, offsetMs, signal) {
+  if (!isCacheable(ep) && !ep.live) return { url: ep.url }; // HLS podcast
+  const file = cachedFile(ep);
+  if (file) return { file };
+  if (offsetMs > 0 && !ep.live) return { url: ep.url };
+
+  const res = await axiosStream(ep.url, { signal });
+  res.data.on('error', () => {});
+  const head = await peekStream(res.data, SNIFF_BYTES);
+  const fmt = detectInputFormat({ head, contentType: res.headers?.['content-type'] || ep.mimeType, url: ep.url });
+  if (URL_ONLY_FORMATS.has(fmt)) {
+    // ffmpeg needs to seek around these itself. Fetching a cache copy alongside would
+    // download the episode twice; the cache picks it up when it's next up instead.
+    res.data.destroy();
+    return { url: ep.url };
+  }
+  const size = Number(res.headers?.['content-length']) || 0;
+  return { stream: isCacheable(ep) ? teeIntoCache(ep, res) : res.data, fmt, size };
+}
+
+// ───────────────────── Playback Helpers ─────────────────────
+function hms(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  return (h ? `${h}:` : '') + `${m.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
+}
+
+// Accepts "1:23:45", "23:45", "83m", "1h20m30s", "90s" or plain seconds. Returns ms or null.
+function parseTimestamp(input) {
+  const str = String(input ?? '').trim().toLowerCase().replace(/\s+/g, '');
+  if (!str) return null;
+
+  if (/^\d+(\.\d+)?$/.test(str)) return Math.round(parseFloat(str) * 1000);
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(str)) {
+    const parts = str.split(':').map(Number);
+    if (parts.slice(1).some(n => n >= 60)) return null;
+    return parts.reduce((acc, n) => acc * 60 + n, 0) * 1000;
+  }
+
+  const m = str.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (m && (m[1] || m[2] || m[3])) {
+    const sec = (parseFloat(m[1]) || 0) * 3600 + (parseFloat(m[2]) || 0) * 60 + (parseFloat(m[3]) || 0);
+    return Math.round(sec * 1000);
+  }
+  return null;
+}
+
+// Episode time covered since the stream started; at 1.25x a wall second is 1.25s of audio
+function streamElapsedMs(st) {
+  const speed = st.currentEpisode?.live ? 1 : st.speed;
+  return Math.max(0, Date.now() - (st.startedAtMs || Date.now())) * speed;
+}
+
+// Live playback position (includes time elapsed since the stream started)
+function currentOffsetMs(st) {
+  if (st.isPausedDueToEmpty || st.player.state.status !== AudioPlayerStatus.Playing) return st.resumeOffsetMs;
+  return st.resumeOffsetMs + streamElapsedMs(st);
+}
+
+// ───────────────────── State Store ─────────────────────
+// Small JSON file so a redeploy or crash picks up at the same episode & offset.
+// Episodes are stored by key (GUID or URL), never by array index.
+function readJsonFile(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    if (e?.code !== 'ENOENT') log.warn(`Could not read ${file}`, { err: e });
+    return {};
+  }
+}
+
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+let savedStates = {}; // stationId → last snapshot loaded or written
+
+function loadState() {
+  const data = readJsonFile(STATE_FILE);
+  if (data.stations && typeof data.stations === 'object') return data.stations;
+  // Single-station layout from before stations existed
+  return data.episodeKey && VOICE_CHANNEL_ID ? { [VOICE_CHANNEL_ID]: data } : {};
+}
+
+function snapshotState(st) {
+  const ep = st.episodes[st.episodeIndex % st.episodes.length];
+  // An episode gone from the feed can't be resumed after a restart; its successor starts fresh
+  const offsetMs = ep?.live || playingRemovedEpisode(st) ? 0 : Math.floor(currentOffsetMs(st));
+  return {
+    episodeKey: episodeKey(ep),
+    episodeTitle: ep?.title || null,
+    offsetMs,
+    lastAnnouncedEpisodeKey: st.lastAnnouncedEpisodeKey,
+    upNext: st.upNext,
+    rotationReturnKey: st.rotationReturnKey,
+    playbackMode: st.playbackMode,
+    shuffleBag: st.shuffleBag,
+    feedCursors: st.feedCursors,
+    scheduledReturn: st.scheduledReturn,
+    scheduleMarks: st.scheduleMarks,
+    lastNowPlayingMessage: st.lastNowPlayingMessage,
+    quarantine: Object.fromEntries(st.quarantine),
+    releasedKeys: releasedKeysSnapshot(st),
+    seededFeeds: [...st.seededFeeds],
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// Trimming a key that's still in the feed would make that episode look new on the
+// next boot, so only episodes that have left the feed age out.
+function releasedKeysSnapshot(st) {
+  const inFeed = new Set(st.episodes.map(episodeKey));
+  const known = [...st.releasedKeys];
+  const gone = known.filter(key => !inFeed.has(key)).slice(-RELEASED_KEYS_LIMIT);
+  return [...gone, ...known.filter(key => inFeed.has(key))];
+}
+
+function saveState() {
+  for (const st of stations.values()) {
+    // Feed not loaded yet — keep the last saved position rather than clobbering it
+    if (st.episodes.length) savedStates[st.id] = snapshotState(st);
+  }
+  try {
+    writeJsonFile(STATE_FILE, { stations: savedStates });
+  } catch (e) {
+    log.warn('State save failed', { err: e });
+  }
+}
+
+function restoreState(st) {
+  const saved = savedStates[st.id] || {};
+  st.lastAnnouncedEpisodeKey = saved.lastAnnouncedEpisodeKey || null;
+  st.upNext = Array.isArray(saved.upNext) ? saved.upNext.filter(k => typeof k === 'string') : [];
+  st.rotationReturnKey = saved.rotationReturnKey || null;
+  if (PLAYBACK_MODES[saved.playbackMode]) st.playbackMode = saved.playbackMode;
+  st.shuffleBag = Array.isArray(saved.shuffleBag) ? saved.shuffleBag.filter(k => typeof k === 'string') : [];
+  st.feedCursors = saved.feedCursors && typeof saved.feedCursors === 'object' ? saved.feedCursors : {};
+  st.releasedKeys = new Set(Array.isArray(saved.releasedKeys) ? saved.releasedKeys : []);
+  // State from before per-feed seeding: a feed counts as seeded if any of its episodes is known
+  st.seededFeeds = new Set(Array.isArray(saved.seededFeeds)
+    ? saved.seededFeeds
+    : st.episodes.filter(ep => st.releasedKeys.has(episodeKey(ep))).map(ep => ep.feedUrl));
+  st.scheduledReturn = typeof saved.scheduledReturn?.key === 'string' ? saved.scheduledReturn : null;
+  st.scheduleMarks = saved.scheduleMarks && typeof saved.scheduleMarks === 'object' ? saved.scheduleMarks : {};
+  st.lastNowPlayingMessage = saved.lastNowPlayingMessage?.messageId ? saved.lastNowPlayingMessage : null;
+  st.quarantine = new Map(Object.entries(saved.quarantine || {}).filter(([, q]) => q?.until > Date.now()));
+  if (!saved.episodeKey || !st.episodes.length) return;
+
+  const idx = findEpisodeIndex(st, saved.episodeKey);
+  if (idx === -1) {
+    log.warn(`Saved episode no longer in feed (${saved.episodeTitle || saved.episodeKey}) — starting fresh.`, { st });
+    return;
+  }
+  st.episodeIndex = idx;
+  st.resumeOffsetMs = Math.max(0, Number(saved.offsetMs) || 0);
+  log.info(`Restored state: episode ${idx + 1}/${st.episodes.length} @ ${hms(st.resumeOffsetMs)}`, { st });
+}
+
+// ───────────────────── Config Store ─────────────────────
+// User-managed settings (stations, feeds, rotation); unlike state this is never written on a timer.
+function loadConfig() {
+  const cfg = readJsonFile(CONFIG_FILE);
+  let list = Array.isArray(cfg.stations) ? cfg.stations : [];
+  let migrated = false;
+
+  if (!list.length && VOICE_CHANNEL_ID) {
+    // Env-only setup, or the single-station config layout: bootstrap one station
+    const feeds = normalizeFeeds(cfg.feeds);
+    list = [{
+      voiceChannelId: VOICE_CHANNEL_ID,
+      announceChannelId: ANNOUNCE_CHANNEL_ID || null,
+      newEpisodePolicy: NEW_EPISODE_POLICY,
+      feeds: feeds.length ? feeds : (RSS_URL ? [{ url: RSS_URL }] : []),
+      feedRotation: cfg.feedRotation,
+    }];
+    migrated = true;
+  }
+
+  for (const sc of list) {
+    if (typeof sc?.voiceChannelId !== 'string') continue;
+    stations.set(sc.voiceChannelId, createStation(sc));
+  }
+  if (migrated) {
+    saveConfig();
+    log.info('Seeded station from VOICE_CHANNEL_ID.');
+  }
+  log.info(`Stations: ${stations.size} configured.`);
+}
+
+function saveConfig() {
+  try {
+    writeJsonFile(CONFIG_FILE, { stations: [...stations.values()].map(stationConfig) });
+  } catch (e) {
+    log.warn('Config save failed', { err: e });
+  }
+}
+
+// ───────────────────── Listener Analytics ─────────────────────
+// Per station: totals per episode and per user, plus a capped log of sessions
+// (one listener, one episode, one continuous stretch) for export.
+let stats = { stations: {} };
+let statsDirty = false;
+
+function loadStats() {
+  const data = readJsonFile(STATS_FILE);
+  stats = { stations: data.stations && typeof data.stations === 'object' ? data.stations : {} };
+}
+
+function saveStats() {
+  if (!statsDirty) return;
+  try {
+    writeJsonFile(STATS_FILE, stats);
+    statsDirty = false;
+  } catch (e) {
+    log.warn('Stats save failed', { err: e });
+  }
+}
+
+function stationStats(st) {
+  return stats.stations[st.id] ||= { episodes: {}, users: {}, sessions: [] };
+}
+
+function episodeStats(st, ep) {
+  const bucket = stationStats(st).episodes;
+  const entry = bucket[episodeKey(ep)] ||= { title: ep.title, show: ep.show || null, listenMs: 0, plays: 0, completions: 0, skips: 0 };
+  entry.title = ep.title;
+  return entry;
+}
+
+// field: 'plays' | 'completions' | 'skips'
+function recordEpisodeStat(st, ep, field) {
+  if (!ep) return;
+  episodeStats(st, ep)[field] += 1;
+  statsDirty = true;
+}
+
+// Totals are credited as time passes so /stats includes whoever is listening now.
+// positionMs (when known) advances the listener's furthest point in the episode.
+function creditListening(st, userId, key, ms, positionMs = null) {
+  const ep = st.episodes[findEpisodeIndex(st, key)];
+  if (ep) episodeStats(st, ep).listenMs += ms;
+  const mine = userEpisodeProgress(st, userId, key, ep);
+  stationStats(st).users[userId].listenMs += ms;
+  mine.listenMs += ms;
+  if (positionMs !== null) mine.positionMs = Math.max(mine.positionMs || 0, Math.floor(positionMs));
+  mine.lastAt = new Date().toISOString();
+  statsDirty = true;
+}
+
+function userEpisodeProgress(st, userId, key, ep = null) {
+  const user = stationStats(st).users[userId] ||= { listenMs: 0, episodes: {} };
+  const mine = user.episodes[key] ||= { title: ep?.title || null, listenMs: 0, positionMs: 0, finished: false, lastAt: null };
+  if (ep) mine.title = ep.title;
+  return mine;
+}
+
+// Everyone listening when an episode plays out has heard it to the end.
+function markListenersFinished(st) {
+  const key = episodeKey(st.currentEpisode);
+  for (const [userId, session] of st.listenSessions) {
+    if (session.key !== key) continue;
+    const mine = userEpisodeProgress(st, userId, key, st.currentEpisode);
+    mine.finished = true;
+    mine.lastAt = new Date().toISOString();
+    statsDirty = true;
+  }
+}
+
+function closeListenSession(st, userId, session) {
+  st.listenSessions.delete(userId);
+  if (session.ms < STATS_MIN_SESSION_MS) return;
+  const ep = st.episodes[findEpisodeIndex(st, session.key)];
+  const data = stationStats(st);
+
+  data.sessions.push({
+    userId,
+    episodeKey: session.key,
+    title: ep?.title || null,
+    show: ep?.show || null,
+    startedAt: new Date(session.startedAt).toISOString(),
+    ms: session.ms,
+  });
+  if (data.sessions.length > STATS_SESSION_LIMIT) data.sessions.splice(0, data.sessions.length - STATS_SESSION_LIMIT);
+  statsDirty = true;
+}
+
+// Credit time since the last call to everyone who was listening, then open and
+// close sessions to match who's in the channel now. Called on a timer and on
+// every voice/episode change, so joins and leaves land within the right stretch.
+function accountListening(st) {
+  const now = Date.now();
+  const dt = st.listenTickAt ? now - st.listenTickAt : 0;
+  st.listenTickAt = now;
+  const key = episodeKey(st.currentEpisode);
+  if (st.listenPlaying && dt > 0) {
+    // Only the current episode's position is known; after a switch the old one keeps its mark
+    const pos = st.player.state.status === AudioPlayerStatus.Playing ? currentOffsetMs(st) : null;
+    for (const [userId, session] of st.listenSessions) {
+      session.ms += dt;
+      creditListening(st, userId, session.key, dt, session.key === key ? pos : null);
+    }
+  }
+
+  const playing = !st.isPausedDueToEmpty && !st.identProc && !!key && st.playingKey === key
+    && st.player.state.status === AudioPlayerStatus.Playing;
+  const humans = playing ? stationHumans(st) : null;
+
+  for (const [userId, session] of st.listenSessions) {
+    if (!playing || !humans?.has(userId) || session.key !== key) closeListenSession(st, userId, session);
+  }
+  if (playing && humans) {
+    for (const userId of humans.keys()) {
+      if (!st.listenSessions.has(userId)) st.listenSessions.set(userId, { key, startedAt: now, ms: 0 });
+    }
+  }
+  st.listenPlaying = playing;
+}
+
+// Record every open session, e.g. before shutdown.
+function flushListening(st) {
+  accountListening(st);
+  for (const [userId, session] of st.listenSessions) closeListenSession(st, userId, session);
+  st.listenPlaying = false;
+}
+
+function hours(ms) {
+  return `${(ms / 3600000).toFixed(1)} h`;
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function sessionsCsv(sessions) {
+  const header = ['user_id', 'episode_key', 'title', 'show', 'started_at', 'seconds'];
+  const rows = sessions.map(s => [s.userId, s.episodeKey, s.title, s.show, s.startedAt, Math.round(s.ms / 1000)]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+// ───────────────────── Button Controls ─────────────────────
+// Custom IDs carry the station: `<action>:<stationId>`
+const BTN_IDS = {
+  PAUSE: 'ctl_pause',
+  RESUME: 'ctl_resume',
+  SKIP: 'ctl_skip',
+  RESTART: 'ctl_restart',
+  REWIND: 'ctl_rewind',
+  FORWARD: 'ctl_forward',
+};
+
+function buildControlsRow(st, isPaused) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${BTN_IDS.REWIND}:${st.id}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel(`-${SEEK_STEP_MS / 1000}s`)
+      .setEmoji('⏪'),
+    new ButtonBuilder()
+      .setCustomId(`${isPaused ? BTN_IDS.RESUME : BTN_IDS.PAUSE}:${st.id}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel(isPaused ? 'Resume' : 'Pause')
+      .setEmoji(isPaused ? '▶️' : '⏯'),
+    new ButtonBuilder()
+      .setCustomId(`${BTN_IDS.FORWARD}:${st.id}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel(`+${SEEK_STEP_MS / 1000}s`)
+      .setEmoji('⏩'),
+    new ButtonBuilder()
+      .setCustomId(`${BTN_IDS.SKIP}:${st.id}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel(st.skipVotes.size ? `Skip (${st.skipVotes.size}/${skipVotesNeeded(st)})` : 'Skip')
+      .setEmoji('⏭'),
+    new ButtonBuilder()
+      .setCustomId(`${BTN_IDS.RESTART}:${st.id}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel('Restart')
+      .setEmoji('🔁'),
+  );
+}
+
+// ───────────────────── Episode Announcement (Embed + Buttons) ─────────────────────
+function buildEpisodeEmbed(st, ep, index, total) {
+  const published = ep.pubDate ? new Date(ep.pubDate).toLocaleString() : 'Unknown';
+  const desc = (ep.description || '').slice(0, 300);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle(`Now Playing: ${ep.title}`)
+    .setDescription(desc ? `${desc}${ep.description.length > 300 ? '…' : ''}` : 'No description provided.')
+    .addFields(
+      { name: 'Episode', value: index === -1 ? 'No longer in the feed' : `${index + 1} of ${total}`, inline: true },
+      { name: 'Published', value: published, inline: true },
+      { name: 'Mode', value: PLAYBACK_MODES[st.playbackMode], inline: true },
+    )
+    .setFooter({ text: ep.show || 'Podcast Radio' });
+  if (ep.artwork) embed.setThumbnail(ep.artwork);
+  if (ep === st.currentEpisode) embed.addFields({ name: playbackStatus(st), value: formatProgress(st, ep) });
+
+  const rows = [];
+  if (ep.link || ep.url) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setLabel('Open Episode').setStyle(ButtonStyle.Link).setURL(ep.link || ep.url),
+    ));
+  }
+  rows.push(buildControlsRow(st, st.isPausedDueToEmpty));
+  return { embed, components: rows };
+}
+
+async function announceEpisodeStart(st, ep, idx, total) {
+  if (!st.announceChannel) return;
+  try {
+    const { embed, components } = buildEpisodeEmbed(st, ep, idx, total);
+    const msg = await st.announceChannel.send({ embeds: [embed], components });
+    const previous = st.lastNowPlayingMessage;
+    st.lastNowPlayingMessage = { channelId: st.announceChannel.id, messageId: msg.id };
+    st.nowPlayingEdit.lastAt = Date.now();
+    saveState();
+    if (previous) retireNowPlaying(st, previous);
+    if (st.liveCaptions && ep.transcriptUrl) startCaptions(st, ep, msg);
+  } catch (e) {
+    log.warn(`Announcement failed`, { st, err: e });
+  }
+}
+
+// ───────────────────── Live Now-Playing Message ─────────────────────
+// The latest announcement is edited in place as playback moves; older ones
+// keep their embed but lose their controls.
+function playbackStatus(st) {
+  if (!st.isPausedDueToEmpty) return '▶️ Playing';
+  return st.pauseReason === 'listeners' ? '⏸ Auto-paused — waiting for listeners' : '⏸ Paused';
+}
+
+function progressBar(pos, total) {
+  const filled = Math.min(PROGRESS_BAR_WIDTH, Math.round((pos / total) * PROGRESS_BAR_WIDTH));
+  return `${'▬'.repeat(filled)}🔘${'─'.repeat(PROGRESS_BAR_WIDTH - filled)}`;
+}
+
+function formatProgress(st, ep) {
+  const pos = currentOffsetMs(st);
+  if (ep.live) return `🔴 Live · tuned in for ${hms(pos)}`;
+  const total = episodeDurationMs(ep);
+  if (!total) return `\`${hms(pos)}\``;
+  return `\`${progressBar(pos, total)}\` ${hms(Math.min(pos, total))} / ${hms(total)}`;
+}
+
+async function fetchNowPlayingMessage(ref) {
+  const ch = await client.channels.fetch(ref.channelId).catch(() => null);
+  if (!ch || !ch.isTextBased?.()) return null;
+  return ch.messages.fetch(ref.messageId).catch(() => null);
+}
+
+// Calls closer together than NOW_PLAYING_MIN_EDIT_MS collapse into one trailing edit.
+function refreshNowPlaying(st) {
+  const edit = st.nowPlayingEdit;
+  if (!st.lastNowPlayingMessage || edit.timer) return;
+  const wait = Math.max(0, edit.lastAt + NOW_PLAYING_MIN_EDIT_MS - Date.now());
+  edit.timer = setTimeout(() => {
+    edit.timer = null;
+    edit.lastAt = Date.now();
+    editNowPlaying(st);
+  }, wait);
+}
+
+async function editNowPlaying(st) {
+  const ref = st.lastNowPlayingMessage;
+  const ep = st.currentEpisode;
+  if (!ref || !ep || !stations.has(st.id)) return;
+  try {
+    const msg = await fetchNowPlayingMessage(ref);
+    if (!msg) {
+      // Deleted — stop trying until the next announcement
+      if (st.lastNowPlayingMessage === ref) st.lastNowPlayingMessage = null;
+      return;
+    }
+    const idx = findEpisodeIndex(st, episodeKey(ep));
+    const { embed, components } = buildEpisodeEmbed(st, ep, idx, st.episodes.length);
+    await msg.edit({ embeds: [embed], components });
+  } catch (e) {
+    log.warn(`Now-playing update failed`, { st, err: e });
+  }
+}
+
+async function retireNowPlaying(st, ref) {
+  try {
+    const msg = await fetchNowPlayingMessage(ref);
+    if (!msg) return;
+    const components = msg.components.map(row => new ActionRowBuilder().addComponents(
+      row.components.map(c => (c.customId ? ButtonBuilder.from(c).setDisabled(true) : ButtonBuilder.from(c))),
+    ));
+    await msg.edit({ components });
+  } catch (e) {
+    log.warn(`Couldn't disable old controls`, { st, err: e });
+  }
+}
+
+function tickNowPlaying() {
+  for (const st of stations.values()) {
+    if (st.playingKey && !st.isPausedDueToEmpty && !st.identProc) refreshNowPlaying(st);
+  }
+}
+
+// ───────────────────── Episode Browser ─────────────────────
+const BROWSE_IDS = {
+  PAGE: 'eps_page',   // eps_page:<stationId>:<page>
+  PICK: 'eps_pick',   // eps_pick:<stationId>
+};
+
+function truncate(str, max) {
+  const s = String(str || '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function buildEpisodesPage(st, page) {
+  const { episodes } = st;
+  const pages = Math.max(1, Math.ceil(episodes.length / EPISODES_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const start = p * EPISODES_PAGE_SIZE;
+  const slice = episodes.slice(start, start + EPISODES_PAGE_SIZE);
+  const playingKey = episodeKey(st.currentEpisode);
+
+  const lines = slice.map((ep, i) => {
+    const n = start + i + 1;
+    const date = ep.pubDate ? new Date(ep.pubDate).toLocaleDateString() : '';
+    const marker = episodeKey(ep) === playingKey ? '▶ ' : '';
+    return `${marker}**${n}.** ${truncate(ep.title, 80)}${date ? ` — ${date}` : ''}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle('Episodes')
+    .setDescription(lines.join('\n') || 'No episodes loaded.')
+    .setFooter({ text: `Page ${p + 1} of ${pages} · ${episodes.length} episodes` });
+
+  const components = [];
+  if (slice.length) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`${BROWSE_IDS.PICK}:${st.id}`)
+        .setPlaceholder('Play an episode…')
+        .addOptions(slice.map((ep, i) => ({
+          label: truncate(`${start + i + 1}. ${ep.title}`, 100),
+          description: ep.description ? truncate(ep.description, 100) : undefined,
+          value: episodeShortId(ep),
+        }))),
+    ));
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${BROWSE_IDS.PAGE}:${st.id}:${p - 1}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel('Previous')
+      .setEmoji('◀️')
+      .setDisabled(p === 0),
+    new ButtonBuilder()
+      .setCustomId(`${BROWSE_IDS.PAGE}:${st.id}:${p + 1}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setLabel('Next')
+      .setEmoji('▶️')
+      .setDisabled(p >= pages - 1),
+  ));
+  return { embeds: [embed], components };
+}
+
+// ───────────────────── Up-Next Queue ─────────────────────
+// upNext holds episode keys; Idle/Skip take from the front via advanceEpisode().
+function pruneQueue(st) {
+  const before = st.upNext.length;
+  st.upNext = st.upNext.filter(key => findEpisodeIndex(st, key) !== -1);
+  if (st.upNext.length !== before) {
+    log.info(`Dropped ${before - st.upNext.length} queued episode(s) no longer in the feed.`, { st });
+    saveState();
+  }
+}
+
+function queuedEpisodes(st) {
+  return st.upNext
+    .map(key => st.episodes[findEpisodeIndex(st, key)])
+    .filter(Boolean);
+}
+
+function formatUpNext(st, limit = UP_NEXT_PREVIEW) {
+  const queued = queuedEpisodes(st);
+  const lines = queued.slice(0, limit).map((ep, i) => `**${i + 1}.** ${truncate(ep.title, 80)}`);
+  if (queued.length > limit) lines.push(`…and ${queued.length - limit} more`);
+  return lines.join('\n');
+}
+
+// ───────────────────── Vote Skip ─────────────────────
+// Humans in the station's channel, counted the same way auto-pause counts listeners.
+function stationHumans(st) {
+  const channel = client.channels.cache.get(st.voiceChannelId);
+  return channel ? channel.members.filter(m => !m.user.bot) : null;
+}
+
+function skipVotesNeeded(st) {
+  const humans = stationHumans(st)?.size || 1;
+  return Math.max(1, Math.ceil(humans * st.voteSkipPercent / 100));
+}
+
+function clearSkipVotes(st) {
+  st.skipVotes.clear();
+  st.skipVoteKey = null;
+}
+
+// Skips once enough listeners agree; returns true if it did.
+function applySkipVotes(st) {
+  if (!st.skipVotes.size || st.skipVotes.size < skipVotesNeeded(st)) return false;
+  log.info(`Vote to skip passed (${st.skipVotes.size}/${skipVotesNeeded(st)}).`, { st });
+  clearSkipVotes(st);
+  skipEpisode(st, 'vote');
+  return true;
+}
+
+// Drop votes from members who left, then re-check: fewer listeners may mean the vote now passes.
+function pruneSkipVotes(st, humans) {
+  if (!st.skipVotes.size) return;
+  const before = st.skipVotes.size;
+  for (const id of st.skipVotes) if (!humans.has(id)) st.skipVotes.delete(id);
+  if (humans.size && applySkipVotes(st)) return;
+  if (st.skipVotes.size !== before || humans.size) refreshNowPlaying(st);
+}
+
+async function handleVoteSkip(interaction, st) {
+  const denied = checkVoteSkipPermission(interaction, st);
+  if (denied) return interaction.reply({ content: denied, ephemeral: true });
+  if (!st.currentEpisode) return interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (!isMemberInVoice(interaction, st)) {
+    return interaction.reply({ content: `Join <#${st.voiceChannelId}> to vote to skip.`, ephemeral: true });
+  }
+  const key = episodeKey(st.currentEpisode);
+  if (st.skipVoteKey !== key) {
+    st.skipVotes.clear();
+    st.skipVoteKey = key;
+  }
+  if (st.skipVotes.has(interaction.user.id)) {
+    return interaction.reply({ content: `You've already voted (${st.skipVotes.size}/${skipVotesNeeded(st)}).`, ephemeral: true });
+  }
+  st.skipVotes.add(interaction.user.id);
+
+  const votes = st.skipVotes.size;
+  const needed = skipVotesNeeded(st);
+  if (applySkipVotes(st)) {
+    const idx = st.episodeIndex % st.episodes.length;
+    return interaction.reply({ content: `Vote passed (${votes}/${needed}) — skipping to episode #${idx + 1}: ${st.episodes[idx].title}`, ephemeral: true });
+  }
+  await interaction.reply({ content: `Vote to skip recorded (${votes}/${needed}).`, ephemeral: true });
+  refreshNowPlaying(st);
+}
+
+// ───────────────────── Chapters ─────────────────────
+// Podcasting 2.0 chapters JSON when the feed links one, otherwise ID3 CHAP frames.
+const chapterCache = new Map(); // episode key → chapters
+
+function decodeId3Text(buf) {
+  const enc = buf[0];
+  let body = buf.subarray(1);
+  let text;
+  if (enc === 1 || enc === 2) {
+    let bigEndian = enc === 2;
+    if (body[0] === 0xfe && body[1] === 0xff) { bigEndian = true; body = body.subarray(2); }
+    else if (body[0] === 0xff && body[1] === 0xfe) body = body.subarray(2);
+    const copy = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+    if (bigEndian) copy.swap16();
+    text = copy.toString('utf16le');
+  } else {
+    text = body.toString(enc === 3 ? 'utf8' : 'latin1');
+  }
+  return text.replace(/\0+$/, '').split('\0')[0].trim();
+}
+
+function syncsafe(buf, at) {
+  return (buf[at] << 21) | (buf[at + 1] << 14) | (buf[at + 2] << 7) | buf[at + 3];
+}
+
+// Walks ID3v2.3/2.4 frames in buf[start, end); calls fn(id, body) for each.
+function eachId3Frame(buf, start, end, version, fn) {
+  let at = start;
+  while (at + 10 <= end && buf[at] !== 0) {
+    const id = buf.toString('latin1', at, at + 4);
+    const size = version === 4 ? syncsafe(buf, at + 4) : buf.readUInt32BE(at + 4);
+    if (!size || at + 10 + size > end) break;
+    fn(id, buf.subarray(at + 10, at + 10 + size));
+    at += 10 + size;
+  }
+}
+
+function parseId3Chapters(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return [];
+  const version = buf[3];
+  if (version !== 3 && version !== 4) return [];
+  const end = Math.min(buf.length, 10 + syncsafe(buf, 6));
+  let start = 10;
+  if (buf[5] & 0x40) start += version === 4 ? syncsafe(buf, 10) : buf.readUInt32BE(10) + 4;
+
+  const chapters = [];
+  eachId3Frame(buf, start, end, version, (id, body) => {
+    if (id !== 'CHAP') return;
+    const idEnd = body.indexOf(0);
+    if (idEnd === -1 || body.length < idEnd + 17) return;
+    const ch = {
+      startMs: body.readUInt32BE(idEnd + 1),
+      endMs: body.readUInt32BE(idEnd + 5),
+      title: body.toString('latin1', 0, idEnd),
+    };
+    eachId3Frame(body, idEnd + 17, body.length, version, (subId, sub) => {
+      if (subId === 'TIT2') ch.title = decodeId3Text(sub) || ch.title;
+    });
+    chapters.push(ch);
+  });
+  return chapters;
+}
+
+// First n bytes of the episode, from the cache or a ranged request.
+async function readEpisodeHead(ep, n) {
+  const file = cachedFile(ep);
+  if (file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buf = Buffer.alloc(n);
+      return buf.subarray(0, fs.readSync(fd, buf, 0, n, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  const res = await axios.get(ep.url, {
+    responseType: 'stream',
+    maxRedirects: 5,
+    headers: { 'User-Agent': FETCH_UA, 'Accept': FETCH_ACCEPT, 'Range': `bytes=0-${n - 1}` },
+    timeout: 30000,
+  });
+  // Servers that ignore Range send the whole file; stop reading once we have enough
+  const chunks = [];
+  let got = 0;
+  for await (const chunk of res.data) {
+    chunks.push(chunk);
+    got += chunk.length;
+    if (got >= n) break;
+  }
+  res.data.destroy();
+  return Buffer.concat(chunks).subarray(0, n);
+}
+
+async function fetchId3Chapters(ep) {
+  const head = await readEpisodeHead(ep, 10);
+  if (head.length < 10 || head.toString('latin1', 0, 3) !== 'ID3') return [];
+  const size = 10 + syncsafe(head, 6);
+  if (size > ID3_MAX_BYTES) return [];
+  return parseId3Chapters(await readEpisodeHead(ep, size));
+}
+
+async function fetchJsonChapters(url) {
+  const res = await axios.get(url, { headers: { 'User-Agent': FETCH_UA }, timeout: 15000 });
+  return (Array.isArray(res.data?.chapters) ? res.data.chapters : [])
+    .filter(ch => typeof ch?.startTime === 'number' && ch.toc !== false)
+    .map(ch => ({
+      startMs: Math.round(ch.startTime * 1000),
+      endMs: typeof ch.endTime === 'number' ? Math.round(ch.endTime * 1000) : null,
+      title: String(ch.title || '').trim(),
+    }));
+}
+
+async function loadChapters(ep) {
+  const key = episodeKey(ep);
+  if (chapterCache.has(key)) return chapterCache.get(key);
+
+  let chapters = [];
+  try {
+    chapters = ep.chaptersUrl ? await fetchJsonChapters(ep.chaptersUrl) : await fetchId3Chapters(ep);
+  } catch (e) {
+    log.warn(`Chapters unavailable (${ep.title})`, { err: e });
+  }
+  // Sort, title the untitled, and close each chapter where the next begins
+  chapters.sort((a, b) => a.startMs - b.startMs);
+  chapters = chapters.map((ch, i) => ({
+    startMs: ch.startMs,
+    endMs: ch.endMs && ch.endMs > ch.startMs ? ch.endMs : (chapters[i + 1]?.startMs ?? null),
+    title: ch.title || `Chapter ${i + 1}`,
+  }));
+
+  chapterCache.set(key, chapters);
+  if (chapterCache.size > CHAPTER_CACHE_LIMIT) chapterCache.delete(chapterCache.keys().next().value);
+  return chapters;
+}
+
+// Index of the chapter playing at ms, or -1 before the first one.
+function chapterIndexAt(chapters, ms) {
+  let idx = -1;
+  for (let i = 0; i < chapters.length; i++) if (chapters[i].startMs <= ms) idx = i;
+  return idx;
+}
+
+function isSkippedChapter(st, ch) {
+  const title = ch.title.toLowerCase();
+  return st.skipChapterTitles.some(t => title.includes(t.toLowerCase()));
+}
+
+function clearChapterTimer(st) {
+  clearTimeout(st.chapterTimer);
+  st.chapterTimer = null;
+}
+
+// Arm a timer for the next chapter matching the station's skip rule.
+function scheduleChapterSkip(st) {
+  clearChapterTimer(st);
+  if (!st.skipChapterTitles.length || !st.chapters.length || st.isPausedDueToEmpty) return;
+  if (st.playingKey !== st.chaptersKey) return; // stream for this episode hasn't started yet
+
+  const pos = currentOffsetMs(st);
+  const target = st.chapters.find(ch => isSkippedChapter(st, ch) && (ch.endMs === null || ch.endMs > pos + 1000));
+  if (!target) return;
+  st.chapterTimer = setTimeout(() => skipChapter(st, target), Math.max(0, target.startMs - pos) / st.speed);
+}
+
+function skipChapter(st, ch) {
+  st.chapterTimer = null;
+  if (st.isPausedDueToEmpty || st.playingKey !== st.chaptersKey) return;
+
+  // Back-to-back ad slots are skipped in one jump
+  let endMs = ch.endMs;
+  for (let i = st.chapters.indexOf(ch) + 1; i < st.chapters.length && endMs !== null; i++) {
+    if (!isSkippedChapter(st, st.chapters[i]) || st.chapters[i].startMs > endMs) break;
+    endMs = st.chapters[i].endMs;
+  }
+
+  log.info(`Skipping chapter "${ch.title}"${endMs === null ? ' (to the end)' : ` → ${hms(endMs)}`}`, { st });
+  if (endMs === null) {
+    advanceEpisode(st, { finished: true });
+    playCurrent(st);
+  } else {
+    seekTo(st, endMs);
+  }
+}
+
+async function loadStationChapters(st, ep) {
+  const key = episodeKey(ep);
+  if (st.chaptersKey === key) return;
+  st.chaptersKey = key;
+  st.chapters = [];
+  clearChapterTimer(st);
+
+  const chapters = await loadChapters(ep);
+  if (st.chaptersKey !== key) return;
+  st.chapters = chapters;
+  if (chapters.length) log.info(`${chapters.length} chapters: ${ep.title}`, { st });
+  scheduleChapterSkip(st);
+}
+
+// ───────────────────── Show Notes & Transcripts ─────────────────────
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', '#39': '\'' };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x?[0-9a-f]+|[a-z0-9]+);/gi, (m, name) => {
+    const lower = name.toLowerCase();
+    if (HTML_ENTITIES[lower]) return HTML_ENTITIES[lower];
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16) || 32);
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10) || 32);
+    return m;
+  });
+}
+
+// Show notes HTML → Discord markdown, keeping links, emphasis and list bullets.
+function htmlToMarkdown(html) {
+  return decodeEntities(String(html || '')
+    .replace(/\r/g, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (m, href, text) => {
+      const label = text.replace(/<[^>]+>/g, '').trim();
+      return !label || label === href ? href : `[${label}](${href})`;
+    })
+    .replace(/<\/?(strong|b)>/gi, '**')
+    .replace(/<\/?(em|i)>/gi, '*')
+    .replace(/<li[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Split on paragraph, then line, then word boundaries so links stay whole.
+function paginateText(text, max = NOTES_PAGE_CHARS) {
+  const pages = [];
+  let rest = text;
+  while (rest.length > max) {
+    const cut = [rest.lastIndexOf('\n\n', max), rest.lastIndexOf('\n', max), rest.lastIndexOf(' ', max)]
+      .find(i => i > max / 2) ?? max;
+    pages.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pages.push(rest);
+  return pages;
+}
+
+const NOTES_IDS = {
+  PAGE: 'notes_page', // notes_page:<stationId>:<episodeShortId>:<page>
+};
+
+function buildShowNotesPage(st, ep, page) {
+  const pages = paginateText(htmlToMarkdown(ep.notesHtml) || ep.description || 'No show notes.');
+  const p = Math.min(Math.max(0, page), pages.length - 1);
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle(truncate(ep.title, 256))
+    .setDescription(pages[p])
+    .setFooter({ text: `${ep.show || 'Podcast Radio'} · Page ${p + 1} of ${pages.length}` });
+  if (ep.link || ep.url) embed.setURL(ep.link || ep.url);
+  if (ep.artwork) embed.setThumbnail(ep.artwork);
+
+  const components = pages.length > 1
+    ? [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${NOTES_IDS.PAGE}:${st.id}:${episodeShortId(ep)}:${p - 1}`)
+          .setStyle(ButtonStyle.Secondary)
+          .setLabel('Previous')
+          .setEmoji('◀️')
+          .setDisabled(p === 0),
+        new ButtonBuilder()
+          .setCustomId(`${NOTES_IDS.PAGE}:${st.id}:${episodeShortId(ep)}:${p + 1}`)
+          .setStyle(ButtonStyle.Secondary)
+          .setLabel('Next')
+          .setEmoji('▶️')
+          .setDisabled(p >= pages.length - 1),
+      )]
+    : [];
+  return { embeds: [embed], components };
+}
+
+const transcriptCache = new Map(); // episode key → cues
+
+// "01:02:03.456", "02:03,456" or "02:03" → ms
+function parseCueTime(str) {
+  const parts = String(str).trim().replace(',', '.').split(':').map(Number);
+  if (parts.some(n => Number.isNaN(n))) return null;
+  return Math.round(parts.reduce((acc, n) => acc * 60 + n, 0) * 1000);
+}
+
+// SRT and WebVTT share the "start --> end" cue layout.
+function parseTimedText(text) {
+  const cues = [];
+  for (const block of String(text).replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const at = lines.findIndex(l => l.includes('-->'));
+    if (at === -1) continue;
+    const [start, end] = lines[at].split('-->').map(t => parseCueTime(t.trim().split(/\s+/)[0]));
+    const body = lines.slice(at + 1).join(' ');
+    // WebVTT voice tags: <v Speaker>text
+    const speaker = body.match(/<v\s+([^>]+)>/)?.[1] || null;
+    const cueText = decodeEntities(body.replace(/<[^>]+>/g, '')).trim();
+    if (start !== null && cueText) cues.push({ startMs: start, endMs: end, speaker, text: cueText });
+  }
+  return cues;
+}
+
+function parseJsonTranscript(data) {
+  return (Array.isArray(data?.segments) ? data.segments : [])
+    .filter(seg => typeof seg?.startTime === 'number' && seg.body)
+    .map(seg => ({
+      startMs: Math.round(seg.startTime * 1000),
+      endMs: typeof seg.endTime === 'number' ? Math.round(seg.endTime * 1000) : null,
+      speaker: seg.speaker || null,
+      text: String(seg.body).trim(),
+    }));
+}
+
+async function loadTranscript(ep) {
+  const key = episodeKey(ep);
+  if (!ep.transcriptUrl) return [];
+  if (transcriptCache.has(key)) return transcriptCache.get(key);
+
+  const res = await axios.get(ep.transcriptUrl, {
+    headers: { 'User-Agent': FETCH_UA },
+    responseType: ep.transcriptFormat === 'json' ? 'json' : 'text',
+    timeout: 30000,
+  });
+  const cues = (ep.transcriptFormat === 'json' ? parseJsonTranscript(res.data) : parseTimedText(res.data))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  transcriptCache.set(key, cues);
+  if (transcriptCache.size > TRANSCRIPT_CACHE_LIMIT) transcriptCache.delete(transcriptCache.keys().next().value);
+  return cues;
+}
+
+// Consecutive cues from the same speaker read as one paragraph.
+function formatCues(cues, currentMs = null) {
+  const lines = [];
+  let lastSpeaker = null;
+  for (const cue of cues) {
+    const marker = currentMs !== null && cue.startMs <= currentMs && (cue.endMs ?? cue.startMs) >= currentMs ? '▶ ' : '';
+    const speaker = cue.speaker && cue.speaker !== lastSpeaker ? `**${cue.speaker}:** ` : '';
+    lastSpeaker = cue.speaker || lastSpeaker;
+    lines.push(`${marker}\`${hms(cue.startMs)}\` ${speaker}${cue.text}`);
+  }
+  return lines.join('\n');
+}
+
+async function startCaptions(st, ep, message) {
+  stopCaptions(st);
+  const key = episodeKey(ep);
+  const captions = { key, thread: null, cues: [], lastMs: 0, interval: null };
+  st.captions = captions;
+  try {
+    captions.cues = await loadTranscript(ep);
+    if (!captions.cues.length || st.captions !== captions) return;
+    captions.thread = await message.startThread({ name: truncate(`Captions · ${ep.title}`, 100), autoArchiveDuration: 60 });
+    if (st.captions !== captions) return;
+    captions.lastMs = currentOffsetMs(st);
+    captions.interval = setInterval(() => tickCaptions(st, captions), CAPTION_TICK_MS);
+  } catch (e) {
+    log.warn(`Live captions failed`, { st, err: e });
+  }
+}
+
+async function tickCaptions(st, captions) {
+  if (st.isPausedDueToEmpty || st.playingKey !== captions.key) return;
+  const pos = currentOffsetMs(st);
+  // After a seek, pick up from the new position instead of replaying the gap
+  if (pos < captions.lastMs || pos - captions.lastMs > CAPTION_TICK_MS * 3) captions.lastMs = pos - CAPTION_TICK_MS;
+  const due = captions.cues.filter(c => c.startMs > captions.lastMs && c.startMs <= pos);
+  captions.lastMs = pos;
+  if (!due.length) return;
+  try {
+    await captions.thread.send({ content: truncate(formatCues(due), 2000), allowedMentions: { parse: [] } });
+  } catch (e) {
+    log.warn(`Caption post failed`, { st, err: e });
+  }
+}
+
+function stopCaptions(st) {
+  const { captions } = st;
+  if (!captions) return;
+  clearInterval(captions.interval);
+  st.captions = null;
+  captions.thread?.setArchived(true).catch(() => {});
+}
+
+// ───────────────────── New Episode Releases ─────────────────────
+function buildReleaseEmbed(ep, note) {
+  const published = ep.pubDate ? new Date(ep.pubDate).toLocaleString() : 'Unknown';
+  const desc = (ep.description || '').slice(0, 300);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x38a169)
+    .setTitle(`New episode released: ${ep.title}`)
+    .setDescription(desc ? `${desc}${ep.description.length > 300 ? '…' : ''}` : 'No description provided.')
+    .addFields({ name: 'Published', value: published, inline: true })
+    .setFooter({ text: ep.show || 'Podcast Radio' });
+  if (ep.artwork) embed.setThumbnail(ep.artwork);
+  if (note) embed.addFields({ name: 'Radio', value: note, inline: true });
+
+  const components = (ep.link || ep.url)
+    ? [new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setLabel('Open Episode').setStyle(ButtonStyle.Link).setURL(ep.link || ep.url),
+      )]
+    : [];
+  return { embed, components };
+}
+
+// Applies the station's new-episode policy; returns a short note for the embed (or null).
+function applyReleasePolicy(st, ep) {
+  const key = episodeKey(ep);
+  if (st.upNext.includes(key) || key === episodeKey(st.currentEpisode)) return null;
+  switch (st.newEpisodePolicy) {
+    case 'next':
+      st.upNext.unshift(key);
+      return 'Playing next';
+    case 'queue':
+      st.upNext.push(key);
+      return `Queued (#${st.upNext.length} up next)`;
+    default:
+      return null;
+  }
+}
+
+// Compares the feed against every episode we've already seen (persisted), so
+// episodes published while the bot was down are announced once. Each feed's first
+// successful fetch silently seeds its back catalogue instead of posting it — a feed
+// that was down when the station started is seeded when it comes back.
+async function announceNewReleases(st) {
+  if (!st.episodes.length) return;
+
+  const unseeded = st.episodes.filter(ep => !st.seededFeeds.has(ep.feedUrl));
+  if (unseeded.length) {
+    for (const ep of unseeded) {
+      st.releasedKeys.add(episodeKey(ep));
+      st.seededFeeds.add(ep.feedUrl);
+    }
+    saveState();
+    log.info(`Release tracking seeded with ${unseeded.length} episodes.`, { st });
+  }
+
+  const fresh = st.episodes.filter(ep => !st.releasedKeys.has(episodeKey(ep)));
+  if (!fresh.length) return;
+  for (const ep of fresh) st.releasedKeys.add(episodeKey(ep));
+
+  // Oldest first, and only the newest few if a whole batch appeared at once
+  const toAnnounce = fresh.slice(-MAX_RELEASE_ANNOUNCEMENTS);
+  if (fresh.length > toAnnounce.length) {
+    log.info(`Skipping announcements for ${fresh.length - toAnnounce.length} older new episodes.`, { st });
+  }
+  // 'next' unshifts, so walk newest → oldest to keep them in release order
+  const notes = new Map();
+  const ordered = st.newEpisodePolicy === 'next' ? [...toAnnounce].reverse() : toAnnounce;
+  for (const ep of ordered) notes.set(episodeKey(ep), applyReleasePolicy(st, ep));
+  saveState();
+
+  for (const ep of toAnnounce) {
+    log.info(`New episode released: ${ep.title}`, { st });
+    if (!st.announceChannel) continue;
+    try {
+      const { embed, components } = buildReleaseEmbed(ep, notes.get(episodeKey(ep)));
+      await st.announceChannel.send({ embeds: [embed], components });
+    } catch (e) {
+      log.warn(`Release announcement failed`, { st, err: e });
+    }
+  }
+}
+
+async function refreshEpisodes(st, { force = false } = {}) {
+  const diff = await fetchEpisodes(st, { force });
+  if (!diff) return;
+  if (diff.removed.length) pruneQueue(st);
+  if (diff.added.length || diff.removed.length || diff.changed.length) {
+    emitPlaybackEvent(st, 'feedUpdated', { ...diff, total: st.episodes.length });
+  }
+}
+
+async function refreshAllStations() {
+  for (const st of stations.values()) {
+    await refreshEpisodes(st).catch(e => log.error(`Refresh failed`, { st, err: e }));
+  }
+}
+
+// ───────────────────── Main Playback ─────────────────────
+function shuffled(list) {
+  const arr = [...list];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Draw from the bag so nothing repeats until every episode (of feedUrl, if given)
+// has played once.
+function nextShuffleIndex(st, fromIdx, feedUrl = null) {
+  const inScope = idx => !feedUrl || st.episodes[idx].feedUrl === feedUrl;
+  for (let pass = 0; pass < 2; pass++) {
+    for (let i = st.shuffleBag.length - 1; i >= 0; i--) {
+      const idx = findEpisodeIndex(st, st.shuffleBag[i]);
+      if (idx === -1) {
+        st.shuffleBag.splice(i, 1);
+      } else if (idx !== fromIdx && inScope(idx)) {
+        st.shuffleBag.splice(i, 1);
+        return idx;
+      }
+    }
+    const refill = st.episodes.map((ep, idx) => idx).filter(idx => idx !== fromIdx && inScope(idx));
+    st.shuffleBag.push(...shuffled(refill.map(idx => episodeKey(st.episodes[idx]))));
+  }
+  return fromIdx;
+}
+
+// Which show plays next, or null to rotate through the merged catalogue.
+function pickNextFeed(st, fromIdx) {
+  if (st.feedRotation === 'merged') return null;
+  const active = st.feeds.filter(f => !f.live && st.episodes.some(ep => ep.feedUrl === f.url));
+  if (active.length < 2) return null;
+
+  if (st.feedRotation === 'weighted') {
+    const total = active.reduce((sum, f) => sum + f.weight, 0);
+    let r = Math.random() * total;
+    for (const f of active) {
+      r -= f.weight;
+      if (r < 0) return f.url;
+    }
+    return active[active.length - 1].url;
+  }
+
+  const i = active.findIndex(f => f.url === st.episodes[fromIdx]?.feedUrl);
+  return active[(i + 1) % active.length].url;
+}
+
+// Each show keeps its own place (feedCursors) when feeds are interleaved/weighted.
+function nextIndexInFeed(st, feedUrl, fromIdx) {
+  const members = st.episodes.map((ep, idx) => idx).filter(idx => st.episodes[idx].feedUrl === feedUrl);
+  const pos = members.indexOf(findEpisodeIndex(st, st.feedCursors[feedUrl]));
+  const n = members.length;
+  switch (st.playbackMode) {
+    case 'newest': return members[pos === -1 ? n - 1 : (pos - 1 + n) % n];
+    case 'shuffle': return nextShuffleIndex(st, fromIdx, feedUrl);
+    default: return members[(pos + 1) % n];
+  }
+}
+
+function nextRotationIndex(st, fromIdx) {
+  const feedUrl = pickNextFeed(st, fromIdx);
+  if (feedUrl) return nextIndexInFeed(st, feedUrl, fromIdx);
+
+  const n = st.episodes.length;
+  switch (st.playbackMode) {
+    case 'newest': return (fromIdx - 1 + n) % n;
+    case 'shuffle': return nextShuffleIndex(st, fromIdx);
+    default: return (fromIdx + 1) % n; // chronological; repeat falls through here on skip
+  }
+}
+
+// Next queued episode if any, otherwise the rotation continues from where it left off.
+// `finished` is true only when an episode played to the end — repeat mode replays it,
+// while skips and failures always move on.
+function advanceEpisode(st, { finished = false } = {}) {
+  st.resumeOffsetMs = 0;
+  if (!st.episodes.length) return;
+
+  // A scheduled programme ended (or was skipped): back to what it interrupted
+  if (st.scheduledReturn) {
+    const { key, offsetMs } = st.scheduledReturn;
+    st.scheduledReturn = null;
+    const idx = findEpisodeIndex(st, key);
+    if (idx !== -1) {
+      st.episodeIndex = idx;
+      st.resumeOffsetMs = Math.max(0, Number(offsetMs) || 0);
+      st.nextKey = null;
+      return;
+    }
+  }
+  if (finished && st.playbackMode === 'repeat' && !st.nextKey) return;
+
+  while (st.upNext.length) {
+    const idx = findEpisodeIndex(st, st.upNext.shift());
+    if (idx === -1 || isQuarantined(st, st.episodes[idx])) continue;
+    if (!st.rotationReturnKey) st.rotationReturnKey = episodeKey(st.episodes[st.episodeIndex % st.episodes.length]);
+    st.episodeIndex = idx;
+    return;
+  }
+
+  const returnIdx = findEpisodeIndex(st, st.rotationReturnKey);
+  st.rotationReturnKey = null;
+  const from = returnIdx !== -1 ? returnIdx : st.episodeIndex % st.episodes.length;
+  // Already picked when the episode on air left the feed (see reconcileEpisodeIndex)
+  const picked = findEpisodeIndex(st, st.nextKey);
+  st.nextKey = null;
+  let next = picked !== -1 ? picked : nextRotationIndex(st, from);
+  for (let n = 1; n < st.episodes.length && !inRotation(st, st.episodes[next]); n++) next = nextRotationIndex(st, next);
+  st.episodeIndex = next;
+}
+
+// Live sources only air when asked for: /play, /queue or a /schedule slot.
+function inRotation(st, ep) {
+  return !ep.live && !isQuarantined(st, ep);
+}
+
+// Best guess at what advanceEpisode() will pick, without touching the station.
+// Weighted rotation and a fresh shuffle bag are random, so it can be wrong.
+function peekNextEpisode(st) {
+  const sim = { ...st, upNext: [...st.upNext], shuffleBag: [...st.shuffleBag], feedCursors: { ...st.feedCursors } };
+  advanceEpisode(sim, { finished: true });
+  return st.episodes[sim.episodeIndex % st.episodes.length] || null;
+}
+
+async function playCurrent(st) {
+  if (st.playLock) return;
+  st.playLock = true;
+  const opening = new AbortController();
+  let watchdog = null;
+
+  try {
+    if (!st.episodes.length) {
+      log.info(`No episodes yet, retrying in 30s…`, { st });
+      setTimeout(() => loopPlay(st), 30_000);
+      return;
+    }
+
+    accountListening(st); // close out the previous stretch before switching
+    // A resume, seek or retry of an episode that has since left the feed carries on with it
+    if (!playingRemovedEpisode(st)) st.currentEpisode = st.episodes[st.episodeIndex % st.episodes.length];
+    const ep = st.currentEpisode;
+    if (st.skipVoteKey && st.skipVoteKey !== episodeKey(ep)) clearSkipVotes(st);
+    st.playingKey = null;
+    clearChapterTimer(st);
+    clearLiveSlot(st);
+    loadStationChapters(st, ep);
+    if (st.captions && st.captions.key !== episodeKey(ep)) stopCaptions(st);
+    const isNewEpisodeStart = st.resumeOffsetMs === 0 && episodeKey(ep) !== st.lastAnnouncedEpisodeKey;
+
+    log.info(`Playing Episode ${st.episodeIndex + 1}/${st.episodes.length}: ${ep.title}${st.resumeOffsetMs ? ` (resume @ ${hms(st.resumeOffsetMs)})` : ''}`, { st });
+    if (ep.feedUrl) st.feedCursors[ep.feedUrl] = episodeKey(ep);
+
+    // Armed before the enclosure is opened: a server that never sends a byte would hold playLock forever
+    let proc = null;
+    let gotData = false;
+    watchdog = setTimeout(() => {
+      if (!proc) return opening.abort();
+      if (!gotData && !st.isPausedDueToEmpty && st.ffmpegProc === proc) handleStreamFailure(st, 'startup timeout');
+    }, STARTUP_WATCHDOG_MS);
+
+    proc = takePreload(st, ep) || spawnFfmpeg(await openEpisodeInput(ep, st.resumeOffsetMs, opening.signal), st.resumeOffsetMs, audioFilters(st, ep));
+    st.ffmpegProc = proc;
+    // ffmpeg exits once its last output is buffered, a few seconds before the episode ends
+    proc.on('close', (code) => {
+      if (code === 0 && st.ffmpegProc === proc) preloadNext(st);
+    });
+
+    proc.stdout.once('data', () => {
+      gotData = true;
+      clearTimeout(watchdog);
+      st.startedAtMs = Date.now();
+      st.playingKey = episodeKey(ep);
+      scheduleChapterSkip(st);
+      if (ep.live) armLiveSlot(st);
+      prefetchEpisode(peekNextEpisode(st));
+      if (!ep.live && !episodeDurationMs(ep)) probeDuration(ep).then(() => refreshNowPlaying(st));
+
+      if (isNewEpisodeStart) {
+        st.lastAnnouncedEpisodeKey = episodeKey(ep);
+        saveState();
+        emitPlaybackEvent(st, 'episodeStarted', { episode: ep, index: st.episodeIndex, total: st.episodes.length });
+      }
+      emitPlaybackEvent(st, 'playing', { episode: ep, offsetMs: st.resumeOffsetMs, fromStart: st.resumeOffsetMs === 0, announced: isNewEpisodeStart });
+    });
+
+    const resource = createAudioResource(proc.stdout, { inputType: StreamType.OggOpus });
+    st.player.play(resource);
+    endIdent(st);
+    st.isPausedDueToEmpty = false;
+
+  } catch (err) {
+    clearTimeout(watchdog);
+    const reason = opening.signal.aborted ? 'startup timeout' : err?.message || String(err);
+    log.error(`Playback error`, { st, err });
+    if (st.currentEpisode) handleStreamFailure(st, reason);
+  } finally {
+    st.playLock = false;
+  }
+}
+
+// ───────────────────── Transitions ─────────────────────
+// Start the next episode's fetch + ffmpeg while the current one drains, so the
+// Idle handler can switch without a cold start. A wrong guess (see peekNextEpisode)
+// is simply thrown away.
+async function preloadNext(st) {
+  discardPreload(st);
+  const ep = peekNextEpisode(st);
+  if (!ep || st.isPausedDueToEmpty) return;
+
+  const preload = { key: episodeKey(ep), proc: null };
+  st.preload = preload;
+  try {
+    const proc = spawnFfmpeg(await openEpisodeInput(ep, 0), 0, audioFilters(st, ep));
+    if (st.preload !== preload) {
+      try { proc.kill('SIGKILL'); } catch {}
+      return;
+    }
+    preload.proc = proc;
+    log.info(`Pre-buffering next: ${ep.title}`, { st });
+  } catch (e) {
+    if (st.preload === preload) st.preload = null;
+    log.warn(`Pre-buffer failed (${ep.title})`, { st, err: e });
+  }
+}
+
+function discardPreload(st) {
+  try { st.preload?.proc?.kill('SIGKILL'); } catch {}
+  st.preload = null;
+}
+
+// The pre-buffered pipeline, if it's for ep from the start; otherwise it's dropped.
+function takePreload(st, ep) {
+  const { preload } = st;
+  st.preload = null;
+  if (preload?.proc && preload.key === episodeKey(ep) && st.resumeOffsetMs === 0 && preload.proc.exitCode === null) {
+    return preload.proc;
+  }
+  try { preload?.proc?.kill('SIGKILL'); } catch {}
+  return null;
+}
+
+function identInput(st) {
+  const ident = { guid: st.identUrl, url: st.identUrl, title: 'Station ident' };
+  const file = cachedFile(ident);
+  if (file) return { file };
+  prefetchEpisode(ident);
+  return { url: st.identUrl };
+}
+
+// Plays the ident between episodes; the Idle handler moves on when it ends.
+function playIdent(st) {
+  try {
+    const proc = spawnFfmpeg(identInput(st), 0, audioFilters(st));
+    st.player.play(createAudioResource(proc.stdout, { inputType: StreamType.OggOpus }));
+    st.identProc = proc;
+    // The next episode is already current and hasn't started: nothing has elapsed in it
+    st.startedAtMs = null;
+    return true;
+  } catch (e) {
+    log.warn(`Station ident failed`, { st, err: e });
+    return false;
+  }
+}
+
+function endIdent(st) {
+  try { st.identProc?.kill('SIGKILL'); } catch {}
+  st.identProc = null;
+}
+
+// ───────────────────── Stream Failures ─────────────────────
+// A failing stream is retried with backoff from where it stopped; an episode that
+// keeps failing is quarantined (left out of the rotation) for QUARANTINE_MS.
+async function onEpisodeEnded(st) {
+  const proc = st.ffmpegProc;
+  if (!proc) return; // already handled as a failure
+  // The audio can run out before ffmpeg reports how it exited
+  if (proc.exitCode === null && proc.signalCode === null) {
+    await Promise.race([once(proc, 'exit'), new Promise(r => setTimeout(r, STREAM_EXIT_WAIT_MS))]).catch(() => {});
+  }
+  if (st.ffmpegProc !== proc || st.isPausedDueToEmpty) return; // superseded while waiting
+
+  const playedToMs = st.resumeOffsetMs + streamElapsedMs(st);
+  const reason = streamFailureReason(proc);
+  if (reason) return handleStreamFailure(st, reason, playedToMs);
+  // Listed and probed durations are often off (ads, VBR estimates), so a short play is only noted
+  const total = episodeDurationMs(st.currentEpisode);
+  if (total && playedToMs < total - TRUNCATION_MARGIN_MS) log.info(`Ended at ${hms(playedToMs)} of a listed ${hms(total)}.`, { st });
+
+  st.streamRetry = null;
+  emitPlaybackEvent(st, 'episodeFinished', { episode: st.currentEpisode });
+  advanceEpisode(st, { finished: true });
+  if (st.identUrl && playIdent(st)) return;
+  // A pre-buffered episode can start right away
+  setTimeout(() => loopPlay(st), st.preload ? 0 : 1000);
+}
+
+// Only the input itself ending early counts: a network error, or fewer bytes than announced.
+function streamFailureReason(proc) {
+  if (proc.streamError) return proc.streamError;
+  if (proc.exitCode) return `ffmpeg exited with code ${proc.exitCode}`;
+  return null;
+}
+
+function handleStreamFailure(st, reason, offsetMs = st.resumeOffsetMs) {
+  const ep = st.currentEpisode;
+  const key = episodeKey(ep);
+  try { st.ffmpegProc?.kill('SIGKILL'); } catch {}
+  st.ffmpegProc = null;
+  clearChapterTimer(st);
+  // A live source that won't even start is off air, which is normal; one that
+  // drops mid-broadcast gets the usual retries first
+  if (ep.live && st.playingKey !== key && st.streamRetry?.key !== key) return goOffAir(st, ep, reason);
+
+  const fresh = st.streamRetry?.key !== key || Date.now() - st.streamRetry.lastAt > STREAM_RETRY_WINDOW_MS;
+  const retry = fresh ? { key, attempts: 0 } : st.streamRetry;
+  retry.attempts += 1;
+  retry.lastAt = Date.now();
+  st.streamRetry = retry;
+  emitPlaybackEvent(st, 'failed', { episode: ep, reason, attempt: retry.attempts });
+
+  if (retry.attempts <= STREAM_RETRY_LIMIT) {
+    const delay = Math.min(STREAM_RETRY_MAX_MS, STREAM_RETRY_BASE_MS * 2 ** (retry.attempts - 1));
+    st.resumeOffsetMs = offsetMs > STREAM_RETRY_REWIND_MS && !ep.live ? Math.floor(offsetMs - STREAM_RETRY_REWIND_MS) : 0;
+    log.warn(`Stream failed (${reason}) — retry ${retry.attempts}/${STREAM_RETRY_LIMIT} in ${delay / 1000}s from ${hms(st.resumeOffsetMs)}.`, { st });
+    saveState();
+    // Anything that started a stream in the meantime (skip, /play, pause) wins
+    setTimeout(() => { if (!st.ffmpegProc) loopPlay(st); }, delay);
+    return;
+  }
+
+  if (ep.live) return goOffAir(st, ep, reason);
+  st.streamRetry = null;
+  quarantineEpisode(st, ep, reason);
+  advanceEpisode(st);
+  setTimeout(() => loopPlay(st), 1000);
+}
+
+// Sits out LIVE_OFF_AIR_MS like a quarantined episode, but it's expected: no admin alert.
+function goOffAir(st, ep, reason) {
+  st.streamRetry = null;
+  clearLiveSlot(st);
+  const until = Date.now() + LIVE_OFF_AIR_MS;
+  st.quarantine.set(episodeKey(ep), { title: ep.title, reason, until, offAir: true });
+  log.info(`${ep.title} is off air (${reason}) — trying again after ${new Date(until).toISOString()}.`, { st });
+  emitPlaybackEvent(st, 'offAir', { episode: ep, reason, until: new Date(until).toISOString() });
+  advanceEpisode(st);
+  saveState();
+  setTimeout(() => loopPlay(st), 1000);
+}
+
+function armLiveSlot(st) {
+  clearLiveSlot(st);
+  const key = st.playingKey;
+  st.liveSlotTimer = setTimeout(() => {
+    st.liveSlotTimer = null;
+    if (st.playingKey !== key || st.isPausedDueToEmpty) return;
+    log.info(`Live slot over after ${hms(LIVE_SLOT_MS)}.`, { st });
+    advanceEpisode(st);
+    restartStream(st);
+  }, LIVE_SLOT_MS);
+}
+
+function clearLiveSlot(st) {
+  clearTimeout(st.liveSlotTimer);
+  st.liveSlotTimer = null;
+}
+
+function quarantineEpisode(st, ep, reason) {
+  const until = Date.now() + QUARANTINE_MS;
+  st.quarantine.set(episodeKey(ep), { title: ep.title, reason, until });
+  log.warn(`Quarantined "${ep.title}" until ${new Date(until).toISOString()} (${reason}).`, { st });
+  saveState();
+  notifyAdmins(st, `⚠️ **${truncate(ep.title, 150)}** failed ${STREAM_RETRY_LIMIT + 1} times in <#${st.voiceChannelId}> (${truncate(reason, 200)}). It's out of the rotation until <t:${Math.floor(until / 1000)}:f>.`);
+}
+
+function isQuarantined(st, ep) {
+  const entry = ep && st.quarantine.get(episodeKey(ep));
+  if (!entry) return false;
+  if (entry.until > Date.now()) return true;
+  st.quarantine.delete(episodeKey(ep));
+  return false;
+}
+
+function activeQuarantine(st, { offAir = false } = {}) {
+  return [...st.quarantine]
+    .filter(([, q]) => q.until > Date.now() && !!q.offAir === offAir)
+    .map(([key, q]) => ({ key, title: q.title, reason: q.reason, until: new Date(q.until).toISOString() }));
+}
+
+async function notifyAdmins(st, content) {
+  if (!st.adminChannelId) return;
+  try {
+    const ch = await client.channels.fetch(st.adminChannelId).catch(() => null);
+    if (!ch?.isTextBased?.()) return;
+    await ch.send({ content, allowedMentions: { parse: [] } });
+  } catch (e) {
+    log.warn(`Admin alert failed`, { st, err: e });
+  }
+}
+
+function loopPlay(st) {
+  if (!st.hasStartedPlayback || st.isPausedDueToEmpty || !stations.has(st.id)) return;
+  playCurrent(st).catch(() => setTimeout(() => loopPlay(st), 2000));
+}
+
+// Swap in a fresh stream for episodes[episodeIndex] @ resumeOffsetMs. startedAtMs
+// is reset right away so the position reported before the new stream's first
+// packet is already the target; the old ffmpeg is killed once replaced.
+function restartStream(st) {
+  st.startedAtMs = Date.now();
+  const oldProc = st.ffmpegProc;
+  return playCurrent(st).finally(() => {
+    if (oldProc && oldProc !== st.ffmpegProc) {
+      try { oldProc.kill('SIGKILL'); } catch {}
+    }
+    saveState();
+  });
+}
+
+// While paused only the resume point moves.
+function seekTo(st, ms) {
+  st.resumeOffsetMs = st.currentEpisode?.live ? 0 : Math.max(0, Math.floor(ms));
+  emitPlaybackEvent(st, 'seeked', { offsetMs: st.resumeOffsetMs });
+  if (st.isPausedDueToEmpty) {
+    saveState();
+    return;
+  }
+  restartStream(st);
+}
+
+// Jump straight to a catalogue episode; the rotation continues from there.
+function playEpisodeAt(st, idx) {
+  st.episodeIndex = idx;
+  st.rotationReturnKey = null;
+  st.nextKey = null;
+  st.resumeOffsetMs = 0;
+  st.isPausedDueToEmpty = false;
+  restartStream(st);
+}
+
+// Filters are baked into the ffmpeg pipeline, so a change restarts the episode
+// at the same spot; the pre-buffered next episode is rebuilt later.
+function setAudioOptions(st, opts) {
+  const pos = currentOffsetMs(st);
+  Object.assign(st, opts);
+  saveConfig();
+  discardPreload(st);
+  if (st.playingKey && !st.identProc && !st.isPausedDueToEmpty) seekTo(st, pos);
+}
+
+function describeAudio(st) {
+  const parts = [];
+  if (st.speed !== 1) parts.push(`${st.speed}×`);
+  if (st.volume !== 100) parts.push(`${st.volume}% volume`);
+  if (st.loudnorm) parts.push('normalized');
+  return parts.join(' · ');
+}
+
+function resumePlayback(st) {
+  st.isPausedDueToEmpty = false;
+  playCurrent(st);
+  emitPlaybackEvent(st, 'resumed', { offsetMs: st.resumeOffsetMs });
+}
+
+function skipEpisode(st, by, userId = null) {
+  // The ident sits between episodes; skipping it starts the next one rather than skipping that too
+  if (st.identProc) return playCurrent(st);
+  emitPlaybackEvent(st, 'skipped', { episode: st.currentEpisode, by, userId });
+  advanceEpisode(st);
+  // Paused: the next episode waits at its start, like a seek
+  if (st.isPausedDueToEmpty) {
+    saveState();
+    return;
+  }
+  playCurrent(st);
+}
+
+function pausePlayback(st, reason = 'manual') {
+  accountListening(st);
+  // Live sources pick up wherever the broadcast is when resumed
+  st.resumeOffsetMs = st.currentEpisode?.live ? 0 : st.resumeOffsetMs + streamElapsedMs(st);
+  st.isPausedDueToEmpty = true;
+  st.pauseReason = reason;
+  try { st.player.pause(); } catch {}
+  try { st.ffmpegProc?.kill('SIGKILL'); } catch {}
+  st.ffmpegProc = null;
+  discardPreload(st);
+  endIdent(st);
+  clearChapterTimer(st);
+  saveState();
+  emitPlaybackEvent(st, 'paused', { offsetMs: st.resumeOffsetMs, reason });
+}
+
+// ───────────────────── Scheduler ─────────────────────
+// Rules are stored as 5-field cron (minute hour day-of-month month day-of-week),
+// evaluated against wall-clock time in the schedule's timezone.
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], base: 1 },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], base: 0 },
+];
+
+function parseCronField(str, { min, max, names, base }) {
+  const values = new Set();
+  const toNum = (v) => {
+    const i = names ? names.indexOf(v.slice(0, 3)) : -1;
+    return i !== -1 ? i + base : (/^\d+$/.test(v) ? parseInt(v, 10) : NaN);
+  };
+  for (const part of str.toLowerCase().split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+    let lo = min;
+    let hi = max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      lo = toNum(a);
+      hi = b !== undefined ? toNum(b) : (stepStr === undefined ? lo : max);
+    }
+    if (![lo, hi, step].every(Number.isInteger) || step < 1 || lo < min || hi > max || lo > hi) return null;
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// { minutes, hours, days, months, weekdays, anyDay, anyWeekday } or null
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+  const sets = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (sets.some(v => !v)) return null;
+  if (sets[4].has(7)) sets[4].add(0);
+  const [minutes, hours, days, months, weekdays] = sets;
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+const WEEKDAY_GROUPS = { daily: '*', everyday: '*', weekdays: '1-5', weekends: '0,6' };
+
+// "fri 20:00", "friday 8pm", "mon,wed 18:30", "weekdays 7am", "daily 08:30" → cron.
+// Anything that already parses as cron is passed through.
+function parseScheduleRule(input) {
+  const str = String(input || '').trim().toLowerCase();
+  if (parseCron(str)) return str;
+
+  const m = str.replace(/^every\s+/, '').match(/^([a-z,\s-]*?)\s*(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  let hour = parseInt(m[2], 10);
+  const minute = m[3] ? parseInt(m[3], 10) : 0;
+  if (m[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[4] === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  const dayWords = m[1].replace(/\s+/g, '').replace(/^day$/, 'daily');
+  const dow = !dayWords ? '*' : (WEEKDAY_GROUPS[dayWords] || dayWords);
+  const cron = `${minute} ${hour} * * ${dow}`;
+  return parseCron(cron) ? cron : null;
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const zoneFormatters = new Map();
+function zonedParts(date, tz) {
+  if (!zoneFormatters.has(tz)) {
+    zoneFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(zoneFormatters.get(tz).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+// Standard cron: when both day fields are restricted, either may match.
+function cronMatches(cron, date, tz) {
+  const t = zonedParts(date, tz);
+  if (!cron.minutes.has(t.minute) || !cron.hours.has(t.hour) || !cron.months.has(t.month)) return false;
+  const dayOk = cron.days.has(t.day);
+  const weekdayOk = cron.weekdays.has(t.weekday);
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayOk;
+  if (cron.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+function nextRun(sched, from = Date.now()) {
+  const cron = parseCron(sched.cron);
+  if (!cron) return null;
+  let t = Math.ceil(from / 60000) * 60000;
+  const end = from + SCHEDULE_LOOKAHEAD_DAYS * 86400000;
+  while (t < end) {
+    if (cronMatches(cron, new Date(t), sched.timezone)) return t;
+    // Off-hour minutes can't match; jump to the next local hour (not UTC — some zones are :30 or :45 off)
+    const local = zonedParts(new Date(t), sched.timezone);
+    t += cron.hours.has(local.hour) ? 60000 : (60 - local.minute) * 60000;
+  }
+  return null;
+}
+
+function scheduledEpisode(st, sched) {
+  if (sched.episodeKey) return st.episodes[findEpisodeIndex(st, sched.episodeKey)] || null;
+  const pool = sched.feedUrl ? st.episodes.filter(ep => ep.feedUrl === sched.feedUrl) : st.episodes;
+  return pool[pool.length - 1] || null; // episodes are oldest → newest
+}
+
+function describeSchedule(st, sched) {
+  if (sched.episodeKey) return scheduledEpisode(st, sched)?.title || sched.label || 'Missing episode';
+  const feed = st.feeds.find(f => f.url === sched.feedUrl);
+  return feed ? `Newest ${feedName(feed)} episode` : 'Newest episode';
+}
+
+// Interrupt the rotation; advanceEpisode() returns to the saved spot afterwards.
+function startScheduledProgramme(st, sched) {
+  const ep = scheduledEpisode(st, sched);
+  if (!ep) {
+    log.warn(`Schedule ${sched.id}: nothing to play.`, { st });
+    return;
+  }
+  const idx = findEpisodeIndex(st, episodeKey(ep));
+  // Already on air (or cued): restarting it would only lose the listeners' place
+  if (idx === st.episodeIndex % st.episodes.length && episodeKey(st.currentEpisode) === episodeKey(ep)) {
+    log.info(`Schedule ${sched.id}: ${ep.title} is already on.`, { st });
+    return;
+  }
+  // A programme that overruns into the next keeps the original return point
+  if (!st.scheduledReturn && st.currentEpisode) {
+    st.scheduledReturn = { key: episodeKey(st.currentEpisode), offsetMs: Math.floor(currentOffsetMs(st)) };
+  }
+  log.info(`Schedule ${sched.id}: starting ${ep.title}`, { st });
+  st.episodeIndex = idx;
+  st.nextKey = null;
+  st.resumeOffsetMs = 0;
+  if (st.isPausedDueToEmpty || !st.hasStartedPlayback) {
+    saveState(); // nobody listening — it's cued for the first listener
+    return;
+  }
+  restartStream(st);
+}
+
+async function remindScheduledProgramme(st, sched, at) {
+  const ep = scheduledEpisode(st, sched);
+  if (!st.announceChannel || !ep) return;
+  try {
+    const embed = new EmbedBuilder()
+      .setColor(0xd69e2e)
+      .setTitle(`Coming up: ${truncate(ep.title, 230)}`)
+      .setDescription(`On air <t:${Math.floor(at / 1000)}:R> in <#${st.voiceChannelId}>.`)
+      .setFooter({ text: ep.show || 'Podcast Radio' });
+    if (ep.artwork) embed.setThumbnail(ep.artwork);
+    await st.announceChannel.send({ embeds: [embed] });
+  } catch (e) {
+    log.warn(`Schedule reminder failed`, { st, err: e });
+  }
+}
+
+// Minute-resolution check; marks stop a rule firing twice within its minute, and
+// are saved so a restart inside that minute doesn't fire it again either.
+function tickSchedules() {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  for (const st of stations.values()) {
+    for (const sched of st.schedules) {
+      const cron = parseCron(sched.cron);
+      if (!cron) continue;
+      const marks = st.scheduleMarks[sched.id] ||= {};
+      const remindAt = now + SCHEDULE_REMINDER_MS;
+      if (marks.reminded !== Math.floor(remindAt / 60000) && cronMatches(cron, new Date(remindAt), sched.timezone)) {
+        marks.reminded = Math.floor(remindAt / 60000);
+        saveState();
+        remindScheduledProgramme(st, sched, Math.floor(remindAt / 60000) * 60000);
+      }
+      if (marks.fired !== minute && cronMatches(cron, new Date(now), sched.timezone)) {
+        marks.fired = minute;
+        saveState();
+        startScheduledProgramme(st, sched);
+      }
+    }
+  }
+}
+
+// ───────────────────── Voice Handling ─────────────────────
+function startKeepAlive(st) {
+  stopKeepAlive(st);
+  st.keepAliveInterval = setInterval(() => {
+    try { st.connection?.configureNetworking(); } catch {}
+  }, 15000);
+}
+function stopKeepAlive(st) {
+  if (st.keepAliveInterval) clearInterval(st.keepAliveInterval);
+  st.keepAliveInterval = null;
+}
+
+async function ensureConnection(st) {
+  const channel = await client.channels.fetch(st.voiceChannelId).catch(() => null);
+  if (!channel || channel.type !== ChannelType.GuildVoice) throw new Error(`${st.voiceChannelId} is not a voice channel`);
+
+  if (!st.connection && stations.has(st.id)) {
+    const connection = joinVoiceChannel({
+      channelId: channel.id,
+      guildId: channel.guild.id,
+      adapterCreator: channel.guild.voiceAdapterCreator,
+      selfDeaf: SELF_DEAFEN,
+    });
+    st.connection = connection;
+
+    connection.on(VoiceConnectionStatus.Disconnected, async () => {
+      log.warn(`Voice disconnected, retrying…`, { st });
+      try {
+        await Promise.race([
+          entersState(connection, VoiceConnectionStatus.Signalling, 5000),
+          entersState(connection, VoiceConnectionStatus.Connecting, 5000),
+        ]);
+      } catch {
+        setTimeout(() => {
+          try { connection.destroy(); } catch {}
+          if (st.connection === connection) st.connection = null;
+          ensureConnection(st).catch(() => {});
+        }, REJOIN_DELAY_MS);
+      }
+    });
+
+    connection.subscribe(st.player);
+    startKeepAlive(st);
+  }
+}
+
+// Resolve channels, load feeds and saved state, then join voice.
+async function startStation(st) {
+  const channel = await client.channels.fetch(st.voiceChannelId).catch(() => null);
+  if (!channel || channel.type !== ChannelType.GuildVoice) {
+    log.warn(`Voice channel unavailable — station idle.`, { st });
+    return;
+  }
+  st.guildId = channel.guild.id;
+  st.label = `${channel.guild.name} / ${channel.name}`;
+
+  st.announceChannel = null;
+  if (st.announceChannelId) {
+    const ch = await client.channels.fetch(st.announceChannelId).catch(() => null);
+    if (ch && typeof ch.isTextBased === 'function' && ch.isTextBased()) {
+      st.announceChannel = ch;
+      log.info(`Using announce channel ${st.announceChannelId}`, { st });
+    } else {
+      log.warn(`Announce channel is not a text channel. Announcements disabled.`, { st });
+    }
+  }
+
+  await fetchEpisodes(st);
+  restoreState(st);
+  await announceNewReleases(st);
+  await ensureConnection(st);
+  log.info(`Waiting for listeners…`, { st });
+}
+
+function stopStation(st) {
+  stopKeepAlive(st);
+  try { st.ffmpegProc?.kill('SIGKILL'); } catch {}
+  st.ffmpegProc = null;
+  discardPreload(st);
+  endIdent(st);
+  clearChapterTimer(st);
+  clearLiveSlot(st);
+  stopCaptions(st);
+  clearTimeout(st.nowPlayingEdit.timer);
+  st.nowPlayingEdit.timer = null;
+  try { st.player.stop(true); } catch {}
+  try { st.connection?.destroy(); } catch {}
+  st.connection = null;
+}
+
+// ───────────────────── Auto-Pause / Resume (Silent) ─────────────────────
+function onStationListenersChanged(st, channel) {
+  const humans = channel.members.filter(m => !m.user.bot);
+  pruneSkipVotes(st, humans);
+
+  if (humans.size === 0) {
+    if (st.player.state.status === AudioPlayerStatus.Playing) {
+      pausePlayback(st, 'listeners');
+      log.info(`Paused @ ${hms(st.resumeOffsetMs)} (no listeners).`, { st });
+    }
+    return;
+  }
+
+  if (!st.hasStartedPlayback) {
+    st.hasStartedPlayback = true;
+    st.catchupCued = false;
+    log.info(`First listener joined — starting playback.`, { st });
+    loopPlay(st);
+    return;
+  }
+
+  const overThreshold = st.resumeOffsetMs >= RESUME_RESTART_THRESHOLD_MS && !st.catchupCued;
+  st.catchupCued = false;
+
+  if (st.isPausedDueToEmpty) {
+    if (overThreshold) {
+      st.resumeOffsetMs = 0;
+      log.info(`Returning listener — restarting episode (over threshold).`, { st });
+      resumePlayback(st);
+    } else {
+      log.info(`Returning listener — resuming from ${hms(st.resumeOffsetMs)}.`, { st });
+      resumePlayback(st);
+    }
+  }
+}
+
+client.on('voiceStateUpdate', (oldState, newState) => {
+  const member = newState.member || oldState.member;
+  const moved = oldState.channelId !== newState.channelId && member && !member.user.bot;
+  // A move between two station channels affects both
+  for (const state of [oldState, newState]) {
+    const st = state.channelId && stations.get(state.channelId);
+    if (!st || !state.channel) continue;
+    if (state === newState && oldState.channelId === newState.channelId) continue;
+    if (moved) {
+      const listeners = state.channel.members.filter(m => !m.user.bot).size;
+      emitPlaybackEvent(st, state === newState ? 'listenerJoined' : 'listenerLeft', { userId: member.id, listeners });
+    }
+    onStationListenersChanged(st, state.channel);
+  }
+});
+
+// ───────────────────── Slash Command Handlers ─────────────────────
+async function handleNowPlaying(interaction, st) {
+  const ep = st.currentEpisode;
+  if (!ep) {
+    await interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+    return;
+  }
+  const offset = currentOffsetMs(st);
+  const idx = findEpisodeIndex(st, episodeKey(ep));
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle(`Now Playing: ${ep.title}`)
+    .setDescription(ep.description ? ep.description.slice(0, 300) + (ep.description.length > 300 ? '…' : '') : '')
+    .addFields(
+      { name: 'Episode', value: idx === -1 ? 'No longer in the feed' : `${idx + 1} of ${st.episodes.length}`, inline: true },
+      { name: 'Position', value: ep.live ? '🔴 Live' : episodeDurationMs(ep) ? `${hms(offset)} / ${hms(episodeDurationMs(ep))}` : hms(offset), inline: true },
+      { name: 'Mode', value: PLAYBACK_MODES[st.playbackMode], inline: true },
+    )
+    .setFooter({ text: ep.show || 'Podcast Radio' });
+  if (ep.artwork) embed.setThumbnail(ep.artwork);
+  const chapterIdx = st.chaptersKey === episodeKey(ep) ? chapterIndexAt(st.chapters, offset) : -1;
+  if (chapterIdx !== -1) {
+    embed.addFields({ name: 'Chapter', value: `${truncate(st.chapters[chapterIdx].title, 200)} (${chapterIdx + 1}/${st.chapters.length})` });
+  }
+  const upNextText = formatUpNext(st);
+  if (describeAudio(st)) embed.addFields({ name: 'Audio', value: describeAudio(st), inline: true });
+  if (upNextText) embed.addFields({ name: 'Up next', value: upNextText });
+  if (st.skipVotes.size) embed.addFields({ name: 'Skip votes', value: `${st.skipVotes.size}/${skipVotesNeeded(st)}`, inline: true });
+
+  await interaction.reply({
+    embeds: [embed],
+    components: (ep.link || ep.url)
+      ? [new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setLabel('Open Episode').setStyle(ButtonStyle.Link).setURL(ep.link || ep.url)
+        )]
+      : [],
+    ephemeral: true,
+  });
+}
+
+async function handleSkip(interaction, st) {
+  if (!st.episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
+  skipEpisode(st, 'member', interaction.user.id);
+  const idx = st.episodeIndex % st.episodes.length;
+  await interaction.reply({ content: `Skipping to episode #${idx + 1}: ${st.episodes[idx].title}`, ephemeral: true });
+}
+
+async function handleRestart(interaction, st) {
+  if (!st.currentEpisode) return interaction.reply({ content: 'Nothing to restart.', ephemeral: true });
+  st.resumeOffsetMs = 0;
+  await interaction.reply({ content: `Restarting: ${st.currentEpisode.title}`, ephemeral: true });
+  playCurrent(st);
+}
+
+async function handlePause(interaction, st) {
+  if (st.player.state.status !== AudioPlayerStatus.Playing) {
+    return interaction.reply({ content: 'Already paused or not playing.', ephemeral: true });
+  }
+  pausePlayback(st);
+  await interaction.reply({ content: `Paused @ ${hms(st.resumeOffsetMs)}.`, ephemeral: true });
+}
+
+async function handleResume(interaction, st) {
+  if (st.player.state.status === AudioPlayerStatus.Playing && !st.isPausedDueToEmpty) {
+    return interaction.reply({ content: 'Already playing.', ephemeral: true });
+  }
+  await interaction.reply({ content: `Resuming ${st.currentEpisode ? st.currentEpisode.title : 'playback'}…`, ephemeral: true });
+  resumePlayback(st);
+}
+
+async function handleSeek(interaction, st) {
+  if (!st.currentEpisode) return interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (st.currentEpisode.live) return interaction.reply({ content: 'Live streams can\'t be seeked.', ephemeral: true });
+  const raw = interaction.options.getString('timestamp', true);
+  const ms = parseTimestamp(raw);
+  if (ms === null) {
+    return interaction.reply({ content: `Couldn't read \`${raw}\`. Try \`1:23:45\`, \`83m\` or seconds.`, ephemeral: true });
+  }
+  seekTo(st, ms);
+  await interaction.reply({ content: `${st.isPausedDueToEmpty ? 'Will resume' : 'Seeking'} to ${hms(ms)}.`, ephemeral: true });
+}
+
+async function handleSeekBy(interaction, st, direction) {
+  if (!st.currentEpisode) return interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (st.currentEpisode.live) return interaction.reply({ content: 'Live streams can\'t be seeked.', ephemeral: true });
+  const stepSec = interaction.isChatInputCommand?.() ? interaction.options.getInteger('seconds') : null;
+  const stepMs = (stepSec || SEEK_STEP_MS / 1000) * 1000;
+  const target = Math.max(0, currentOffsetMs(st) + direction * stepMs);
+  seekTo(st, target);
+  await interaction.reply({ content: `${direction > 0 ? '⏩' : '⏪'} ${hms(target)}`, ephemeral: true });
+}
+
+async function handleVolume(interaction, st) {
+  const percent = interaction.options.getInteger('percent');
+  if (percent === null) return interaction.reply({ content: `Volume is ${st.volume}%.`, ephemeral: true });
+  setAudioOptions(st, { volume: percent });
+  await interaction.reply({ content: `🔊 Volume set to ${percent}%.`, ephemeral: true });
+}
+
+async function handleSpeed(interaction, st) {
+  const rate = interaction.options.getNumber('rate');
+  if (rate === null) return interaction.reply({ content: `Playback speed is ${st.speed}×.`, ephemeral: true });
+  setAudioOptions(st, { speed: Math.round(rate * 100) / 100 });
+  await interaction.reply({ content: `Playback speed set to ${st.speed}×.`, ephemeral: true });
+}
+
+async function handleLoudnorm(interaction, st) {
+  const enabled = interaction.options.getBoolean('enabled');
+  if (enabled === null) return interaction.reply({ content: `Loudness normalization is ${st.loudnorm ? 'on' : 'off'}.`, ephemeral: true });
+  setAudioOptions(st, { loudnorm: enabled });
+  await interaction.reply({ content: `Loudness normalization ${enabled ? 'on' : 'off'}.`, ephemeral: true });
+}
+
+async function handleEpisodes(interaction, st) {
+  if (!st.episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
+  const page = Math.floor(Math.max(0, st.episodeIndex % st.episodes.length) / EPISODES_PAGE_SIZE);
+  await interaction.reply({ ...buildEpisodesPage(st, page), ephemeral: true });
+}
+
+async function handlePlay(interaction, st) {
+  if (!st.episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
+  const query = interaction.options.getString('episode', true);
+  const idx = resolveEpisodeQuery(st, query);
+  if (idx === -1) return interaction.reply({ content: `No episode matches \`${truncate(query, 80)}\`.`, ephemeral: true });
+  playEpisodeAt(st, idx);
+  await interaction.reply({ content: `Playing episode #${idx + 1}: ${st.episodes[idx].title}`, ephemeral: true });
+}
+
+async function handlePlayAutocomplete(interaction, st) {
+  const focused = interaction.options.getFocused();
+  const choices = searchEpisodes(st, focused).map(({ ep, idx }) => ({
+    name: truncate(`${idx + 1}. ${ep.title}`, 100),
+    value: episodeShortId(ep),
+  }));
+  await interaction.respond(choices);
+}
+
+async function handleQueue(interaction, st) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'add') {
+    if (!st.episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
+    if (st.upNext.length >= QUEUE_LIMIT) return interaction.reply({ content: `The queue is full (${QUEUE_LIMIT} episodes).`, ephemeral: true });
+    const query = interaction.options.getString('episode', true);
+    const idx = resolveEpisodeQuery(st, query);
+    if (idx === -1) return interaction.reply({ content: `No episode matches \`${truncate(query, 80)}\`.`, ephemeral: true });
+    st.upNext.push(episodeKey(st.episodes[idx]));
+    saveState();
+    return interaction.reply({ content: `Queued #${st.upNext.length}: ${st.episodes[idx].title}`, ephemeral: true });
+  }
+
+  if (sub === 'list') {
+    pruneQueue(st);
+    const text = formatUpNext(st, QUEUE_LIMIT);
+    if (!text) return interaction.reply({ content: 'The queue is empty — the rotation continues in order.', ephemeral: true });
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle('Up next')
+      .setDescription(truncate(text, 4000))
+      .setFooter({ text: `${st.upNext.length} queued · Podcast Radio` });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if ((sub === 'remove' || sub === 'move') && !st.upNext.length) {
+    return interaction.reply({ content: 'The queue is empty.', ephemeral: true });
+  }
+
+  if (sub === 'remove') {
+    const pos = interaction.options.getInteger('position', true);
+    if (pos < 1 || pos > st.upNext.length) return interaction.reply({ content: `Position must be between 1 and ${st.upNext.length}.`, ephemeral: true });
+    const [key] = st.upNext.splice(pos - 1, 1);
+    saveState();
+    const ep = st.episodes[findEpisodeIndex(st, key)];
+    return interaction.reply({ content: `Removed #${pos}: ${ep ? ep.title : 'episode'}`, ephemeral: true });
+  }
+
+  if (sub === 'move') {
+    const from = interaction.options.getInteger('from', true);
+    const to = interaction.options.getInteger('to', true);
+    if (from < 1 || from > st.upNext.length || to < 1 || to > st.upNext.length) {
+      return interaction.reply({ content: `Positions must be between 1 and ${st.upNext.length}.`, ephemeral: true });
+    }
+    const [key] = st.upNext.splice(from - 1, 1);
+    st.upNext.splice(to - 1, 0, key);
+    saveState();
+    const ep = st.episodes[findEpisodeIndex(st, key)];
+    return interaction.reply({ content: `Moved ${ep ? ep.title : 'episode'} to #${to}.`, ephemeral: true });
+  }
+
+  if (sub === 'clear') {
+    const n = st.upNext.length;
+    st.upNext = [];
+    saveState();
+    return interaction.reply({ content: n ? `Cleared ${n} queued episode(s).` : 'The queue was already empty.', ephemeral: true });
+  }
+
+  return interaction.reply({ content: 'Unknown queue command.', ephemeral: true });
+}
+
+async function handleChapter(interaction, st) {
+  const sub = interaction.options.getSubcommand();
+  const ep = st.currentEpisode;
+  if (!ep) return interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (st.chaptersKey !== episodeKey(ep) || !st.chapters.length) {
+    return interaction.reply({ content: 'This episode has no chapters.', ephemeral: true });
+  }
+  const pos = currentOffsetMs(st);
+  const idx = chapterIndexAt(st.chapters, pos);
+
+  if (sub === 'list') {
+    const lines = st.chapters.map((ch, i) => {
+      const marker = i === idx ? '▶ ' : '';
+      const skipped = isSkippedChapter(st, ch) ? ' *(skipped)*' : '';
+      return `${marker}\`${hms(ch.startMs)}\` ${truncate(ch.title, 80)}${skipped}`;
+    });
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle(`Chapters: ${truncate(ep.title, 200)}`)
+      .setDescription(truncate(lines.join('\n'), 4000))
+      .setFooter({ text: ep.show || 'Podcast Radio' });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  let target;
+  if (sub === 'next') {
+    target = st.chapters[idx + 1];
+    if (!target) return interaction.reply({ content: 'Already in the last chapter.', ephemeral: true });
+  } else {
+    // Like a CD player: back to the start of this chapter unless we just got here
+    const current = st.chapters[idx];
+    target = current && pos - current.startMs > CHAPTER_PREV_GRACE_MS ? current : st.chapters[Math.max(0, idx - 1)];
+  }
+  seekTo(st, target.startMs);
+  await interaction.reply({ content: `${sub === 'next' ? '⏭' : '⏮'} ${truncate(target.title, 200)} (${hms(target.startMs)})`, ephemeral: true });
+}
+
+async function handleShowNotes(interaction, st) {
+  const query = interaction.options.getString('episode');
+  const idx = query ? resolveEpisodeQuery(st, query) : findEpisodeIndex(st, episodeKey(st.currentEpisode));
+  if (idx === -1) {
+    return interaction.reply({ content: query ? `No episode matches \`${truncate(query, 80)}\`.` : 'Nothing playing yet.', ephemeral: true });
+  }
+  await interaction.reply({ ...buildShowNotesPage(st, st.episodes[idx], 0), ephemeral: true });
+}
+
+async function handleTranscript(interaction, st) {
+  const ep = st.currentEpisode;
+  if (!ep) return interaction.reply({ content: 'Nothing playing yet.', ephemeral: true });
+  if (!ep.transcriptUrl) return interaction.reply({ content: 'This episode has no transcript.', ephemeral: true });
+
+  const raw = interaction.options.getString('at');
+  const at = raw ? parseTimestamp(raw) : currentOffsetMs(st);
+  if (at === null) return interaction.reply({ content: `Couldn't read \`${raw}\`. Try \`1:23:45\`, \`83m\` or seconds.`, ephemeral: true });
+
+  await interaction.deferReply({ ephemeral: true });
+  let cues;
+  try {
+    cues = await loadTranscript(ep);
+  } catch (e) {
+    return interaction.editReply(`Couldn't load the transcript: ${e?.message || e}`);
+  }
+  const around = cues.filter(c => c.startMs >= at - TRANSCRIPT_BEFORE_MS && c.startMs <= at + TRANSCRIPT_AFTER_MS);
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle(`Transcript: ${truncate(ep.title, 200)}`)
+    .setDescription(truncate(formatCues(around, at), 4000) || 'Nothing said around here.')
+    .setFooter({ text: `Around ${hms(at)} · ${ep.show || 'Podcast Radio'}` });
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleSchedule(interaction, st) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'add') {
+    if (st.schedules.length >= SCHEDULE_LIMIT) return interaction.reply({ content: `This station already has ${SCHEDULE_LIMIT} schedules.`, ephemeral: true });
+    const when = interaction.options.getString('when', true);
+    const cron = parseScheduleRule(when);
+    if (!cron) {
+      return interaction.reply({ content: `Couldn't read \`${truncate(when, 80)}\`. Try \`fri 20:00\`, \`weekdays 7am\` or cron like \`0 20 * * 5\`.`, ephemeral: true });
+    }
+    const timezone = interaction.options.getString('timezone')?.trim() || SCHEDULE_TZ;
+    if (!isValidTimezone(timezone)) return interaction.reply({ content: `Unknown timezone \`${truncate(timezone, 80)}\` — use a name like \`Europe/Berlin\`.`, ephemeral: true });
+
+    const sched = { id: crypto.randomBytes(3).toString('hex'), when, cron, timezone, episodeKey: null, feedUrl: null, label: null };
+    const episodeQuery = interaction.options.getString('episode');
+    const feedQuery = interaction.options.getString('feed');
+    if (episodeQuery) {
+      const idx = resolveEpisodeQuery(st, episodeQuery);
+      if (idx === -1) return interaction.reply({ content: `No episode matches \`${truncate(episodeQuery, 80)}\`.`, ephemeral: true });
+      sched.episodeKey = episodeKey(st.episodes[idx]);
+      sched.label = st.episodes[idx].title;
+    } else if (feedQuery) {
+      const feed = findFeed(st, feedQuery);
+      if (!feed) return interaction.reply({ content: 'No such feed. See `/feed list`.', ephemeral: true });
+      sched.feedUrl = feed.url;
+    }
+
+    st.schedules.push(sched);
+    saveConfig();
+    const next = nextRun(sched);
+    return interaction.reply({
+      content: `Scheduled **${describeSchedule(st, sched)}** — \`${when}\` (${timezone}).${next ? ` First airing <t:${Math.floor(next / 1000)}:F>.` : ''}`,
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'list') {
+    if (!st.schedules.length) return interaction.reply({ content: 'Nothing scheduled. Add a programme with `/schedule add`.', ephemeral: true });
+    const lines = st.schedules.map((sched) => {
+      const next = nextRun(sched);
+      const nextText = next ? `<t:${Math.floor(next / 1000)}:R>` : 'not within a month';
+      return `\`${sched.id}\` **${truncate(describeSchedule(st, sched), 80)}** — ${sched.when} (${sched.timezone}) · next ${nextText}`;
+    });
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle('Schedule')
+      .setDescription(truncate(lines.join('\n'), 4000))
+      .setFooter({ text: 'Programmes interrupt the rotation, then it picks up where it left off.' });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (sub === 'remove') {
+    const id = interaction.options.getString('id', true).trim();
+    const sched = st.schedules.find(sc => sc.id === id);
+    if (!sched) return interaction.reply({ content: 'No such schedule. See `/schedule list`.', ephemeral: true });
+    st.schedules = st.schedules.filter(sc => sc !== sched);
+    delete st.scheduleMarks[sched.id];
+    saveConfig();
+    return interaction.reply({ content: `Removed \`${sched.id}\` (${describeSchedule(st, sched)}, ${sched.when}).`, ephemeral: true });
+  }
+
+  return interaction.reply({ content: 'Unknown schedule command.', ephemeral: true });
+}
+
+async function handleScheduleAutocomplete(interaction, st) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name === 'episode') return handlePlayAutocomplete(interaction, st);
+  if (focused.name === 'feed') return handleFeedAutocomplete(interaction, st);
+  const q = String(focused.value || '').toLowerCase();
+  const choices = st.schedules
+    .map(sched => ({ name: truncate(`${sched.id} · ${describeSchedule(st, sched)} · ${sched.when}`, 100), value: sched.id }))
+    .filter(c => !q || c.name.toLowerCase().includes(q))
+    .slice(0, AUTOCOMPLETE_LIMIT);
+  await interaction.respond(choices);
+}
+
+async function handleStats(interaction, st) {
+  const sub = interaction.options.getSubcommand();
+  accountListening(st);
+  const data = stationStats(st);
+  const episodesList = Object.entries(data.episodes).map(([key, e]) => ({ key, ...e }));
+
+  if (sub === 'me') {
+    const user = data.users[interaction.user.id];
+    if (!user) return interaction.reply({ content: 'No listening recorded for you on this station yet.', ephemeral: true });
+    const recent = Object.values(user.episodes)
+      .sort((a, b) => String(b.lastAt).localeCompare(String(a.lastAt)))
+      .slice(0, 10)
+      .map(e => `**${truncate(e.title || 'Unknown episode', 80)}** — ${hms(e.listenMs)}${e.lastAt ? ` · <t:${Math.floor(Date.parse(e.lastAt) / 1000)}:R>` : ''}`);
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle('Your listening')
+      .addFields(
+        { name: 'Total', value: hours(user.listenMs), inline: true },
+        { name: 'Episodes', value: String(Object.keys(user.episodes).length), inline: true },
+        { name: 'Recently', value: recent.join('\n') || '—' },
+      )
+      .setFooter({ text: st.label });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (sub === 'export') {
+    const format = interaction.options.getString('format') || 'csv';
+    const body = format === 'json' ? JSON.stringify(data, null, 2) : sessionsCsv(data.sessions);
+    return interaction.reply({
+      content: format === 'json' ? 'Station stats (totals + session log).' : `Listening sessions (${data.sessions.length}).`,
+      files: [{ attachment: Buffer.from(body), name: `radio-stats-${st.id}.${format}` }],
+      ephemeral: true,
+    });
+  }
+
+  const totalMs = episodesList.reduce((sum, e) => sum + e.listenMs, 0);
+  const top = [...episodesList].sort((a, b) => b.listenMs - a.listenMs).slice(0, STATS_TOP).filter(e => e.listenMs > 0);
+  const skipped = [...episodesList].sort((a, b) => b.skips - a.skips).slice(0, STATS_TOP).filter(e => e.skips > 0);
+  const completion = e => (e.plays ? ` · ${Math.round(e.completions / e.plays * 100)}% finished` : '');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle('Station stats')
+    .addFields(
+      { name: 'Listening', value: hours(totalMs), inline: true },
+      { name: 'Listeners', value: String(Object.keys(data.users).length), inline: true },
+      { name: 'Episodes played', value: String(episodesList.filter(e => e.plays).length), inline: true },
+      { name: 'Top episodes', value: top.map((e, i) => `**${i + 1}.** ${truncate(e.title, 70)} — ${hours(e.listenMs)}${completion(e)}`).join('\n') || '—' },
+      { name: 'Most skipped', value: skipped.map((e, i) => `**${i + 1}.** ${truncate(e.title, 70)} — ${e.skips} skip${e.skips === 1 ? '' : 's'}`).join('\n') || '—' },
+    )
+    .setFooter({ text: st.label });
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+function userHistory(st, userId) {
+  const user = stationStats(st).users[userId];
+  return Object.entries(user?.episodes || {})
+    .map(([key, e]) => ({ key, ...e }))
+    .sort((a, b) => String(b.lastAt).localeCompare(String(a.lastAt)));
+}
+
+async function handleHistory(interaction, st) {
+  accountListening(st);
+  const history = userHistory(st, interaction.user.id).slice(0, HISTORY_LIMIT);
+  if (!history.length) return interaction.reply({ content: 'You haven\'t listened to anything on this station yet.', ephemeral: true });
+
+  const lines = history.map((e) => {
+    const progress = e.finished ? '✓ finished' : `stopped at ${hms(e.positionMs || 0)}`;
+    const when = e.lastAt ? ` · <t:${Math.floor(Date.parse(e.lastAt) / 1000)}:R>` : '';
+    return `**${truncate(e.title || 'Unknown episode', 80)}** — ${progress}${when}`;
+  });
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle('Your history')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: 'Use /catchup to pick up an unfinished episode.' });
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleCatchup(interaction, st) {
+  accountListening(st);
+  const query = interaction.options.getString('episode');
+  let ep;
+  if (query) {
+    ep = st.episodes[resolveEpisodeQuery(st, query)];
+    if (!ep) return interaction.reply({ content: `No episode matches \`${truncate(query, 80)}\`.`, ephemeral: true });
+  } else {
+    const unfinished = userHistory(st, interaction.user.id).find(e => !e.finished && findEpisodeIndex(st, e.key) !== -1);
+    ep = unfinished && st.episodes[findEpisodeIndex(st, unfinished.key)];
+    if (!ep) return interaction.reply({ content: 'Nothing to catch up on — you\'ve finished everything you started.', ephemeral: true });
+  }
+
+  const progress = stationStats(st).users[interaction.user.id]?.episodes[episodeKey(ep)];
+  const pos = progress && !progress.finished ? progress.positionMs || 0 : 0;
+
+  // Nobody listening: cue the station so it resumes there when they join
+  if (!stationHumans(st)?.size) {
+    // Same hand-back as a scheduled programme: the interrupted episode resumes afterwards
+    if (!st.scheduledReturn && st.currentEpisode && episodeKey(st.currentEpisode) !== episodeKey(ep)) {
+      st.scheduledReturn = { key: episodeKey(st.currentEpisode), offsetMs: st.resumeOffsetMs };
+    }
+    st.episodeIndex = findEpisodeIndex(st, episodeKey(ep));
+    st.nextKey = null;
+    st.resumeOffsetMs = pos;
+    st.catchupCued = true;
+    saveState();
+    return interaction.reply({
+      content: `Cued **${truncate(ep.title, 150)}** at ${hms(pos)} — join <#${st.voiceChannelId}> to pick it up.`,
+      ephemeral: true,
+    });
+  }
+
+  // Otherwise hand them a link so they can catch up on their own
+  const rows = [new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setLabel(`Listen from ${hms(pos)}`)
+      .setStyle(ButtonStyle.Link)
+      .setURL(`${ep.url.split('#')[0]}#t=${Math.floor(pos / 1000)}`),
+  )];
+  if (ep.link && ep.link !== ep.url) {
+    rows[0].addComponents(new ButtonBuilder().setLabel('Episode page').setStyle(ButtonStyle.Link).setURL(ep.link));
+  }
+  await interaction.reply({
+    content: `**${truncate(ep.title, 150)}** — you left off at ${hms(pos)}. The station is busy, so here's the episode to finish on your own.`,
+    components: rows,
+    ephemeral: true,
+  });
+}
+
+async function handleMode(interaction, st) {
+  const mode = interaction.options.getString('mode');
+  if (!mode) {
+    return interaction.reply({ content: `Playback mode: **${PLAYBACK_MODES[st.playbackMode]}**`, ephemeral: true });
+  }
+  if (!PLAYBACK_MODES[mode]) return interaction.reply({ content: 'Unknown mode.', ephemeral: true });
+  if (mode === 'shuffle' && st.playbackMode !== 'shuffle') st.shuffleBag = [];
+  st.playbackMode = mode;
+  saveState();
+  log.info(`Playback mode → ${mode}`, { st });
+  await interaction.reply({ content: `Playback mode set to **${PLAYBACK_MODES[mode]}**.`, ephemeral: true });
+}
+
+function findFeed(st, query) {
+  const q = String(query || '').trim();
+  if (/^\d+$/.test(q)) return st.feeds[parseInt(q, 10) - 1] || null;
+  return st.feeds.find(f => shortHash(f.url) === q || f.url === q)
+    || st.feeds.find(f => feedName(f).toLowerCase() === q.toLowerCase())
+    || null;
+}
+
+// Validates and adds (or updates) a feed on a station. Returns { feed, count } or throws.
+// Checks a live source answers with audio (or an HLS playlist) before it's added
+async function checkLiveSource(url) {
+  const res = await axiosStream(url);
+  res.data.on('error', () => {});
+  try {
+    const head = await peekStream(res.data, SNIFF_BYTES);
+    const fmt = detectInputFormat({ head, contentType: res.headers?.['content-type'], url });
+    if (!fmt && !/^audio\//i.test(res.headers?.['content-type'] || '')) throw new Error('That URL isn\'t an audio stream or HLS playlist.');
+  } finally {
+    res.data.destroy();
+  }
+}
+
+async function addFeed(st, url, { name, weight, live } = {}) {
+  const existing = st.feeds.find(f => f.url === url);
+  const feedCfg = existing || { url, name: null, weight: 1, live: !!live };
+  if (name) feedCfg.name = name;
+  if (weight) feedCfg.weight = weight;
+
+  if (feedCfg.live) await checkLiveSource(url);
+  const { items, movedTo } = await fetchFeed(feedCfg, { force: true });
+  if (!items.length) throw new Error('That feed has no playable episodes.');
+  if (movedTo && !existing) feedCfg.url = movedTo;
+
+  // Not yet in seededFeeds, so the new show's back catalogue isn't "newly released"
+  if (!existing) st.feeds.push(feedCfg);
+  saveConfig();
+  await refreshEpisodes(st);
+  return { feed: feedCfg, count: items.length, updated: !!existing };
+}
+
+async function handleFeed(interaction, st) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'list') {
+    if (!st.feeds.length) return interaction.reply({ content: 'No feeds configured. Add one with `/feed add`.', ephemeral: true });
+    const lines = st.feeds.map((f, i) => {
+      const count = st.episodes.filter(ep => ep.feedUrl === f.url).length;
+      const weight = st.feedRotation === 'weighted' ? ` · weight ${f.weight}` : '';
+      return `**${i + 1}.** ${truncate(feedName(f), 80)} — ${f.live ? '🔴 live stream' : `${count} episodes`}${weight}${describeFeedHealth(st, f)}\n${f.url}`;
+    });
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle('Feeds')
+      .setDescription(truncate(lines.join('\n'), 4000))
+      .setFooter({ text: `Rotation: ${FEED_ROTATIONS[st.feedRotation]}` });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (sub === 'add') {
+    const url = interaction.options.getString('url', true).trim();
+    try {
+      if (!/^https?:$/.test(new URL(url).protocol)) throw new Error('not http');
+    } catch {
+      return interaction.reply({ content: 'That doesn\'t look like an http(s) feed URL.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    try {
+      const { feed, count, updated } = await addFeed(st, url, {
+        name: interaction.options.getString('name'),
+        weight: interaction.options.getInteger('weight'),
+        live: interaction.options.getBoolean('live'),
+      });
+      return interaction.editReply(`${updated ? 'Updated' : 'Added'} **${feedName(feed)}** (${feed.live ? 'live stream — it airs through `/play`, `/queue` or `/schedule`' : `${count} episodes`}).`);
+    } catch (e) {
+      return interaction.editReply(`Couldn't add that feed: ${e?.message || e}`);
+    }
+  }
+
+  if (sub === 'remove') {
+    const feed = findFeed(st, interaction.options.getString('feed', true));
+    if (!feed) return interaction.reply({ content: 'No such feed. See `/feed list`.', ephemeral: true });
+    const name = feedName(feed);
+    st.feeds = st.feeds.filter(f => f !== feed);
+    delete st.feedCursors[feed.url];
+    st.seededFeeds.delete(feed.url); // adding it back later seeds it afresh
+    saveConfig();
+
+    const prev = st.episodes;
+    st.episodes = st.episodes.filter(ep => ep.feedUrl !== feed.url);
+    reconcileEpisodeIndex(st, prev);
+    pruneQueue(st);
+    saveState();
+    return interaction.reply({ content: `Removed **${name}** (${prev.length - st.episodes.length} episodes).`, ephemeral: true });
+  }
+
+  if (sub === 'refresh') {
+    await interaction.deferReply({ ephemeral: true });
+    const before = st.episodes.length;
+    await refreshEpisodes(st, { force: true });
+    const lines = st.feeds.map((f) => {
+      const health = st.feedHealth.get(f.url);
+      if (health?.failures) return `❌ **${truncate(feedName(f), 80)}** — ${truncate(health.lastError, 150)}`;
+      const skipped = health?.skipped || [];
+      const detail = skipped.slice(0, 3).map(x => `\n  · skipped "${truncate(x.title, 60)}" (${x.reason})`).join('');
+      const more = skipped.length > 3 ? `\n  · …and ${skipped.length - 3} more` : '';
+      return `✅ **${truncate(feedName(f), 80)}**${detail}${more}`;
+    });
+    const change = st.episodes.length - before;
+    return interaction.editReply(truncate(`${st.episodes.length} episodes (${change >= 0 ? '+' : ''}${change}).\n${lines.join('\n')}`, 2000));
+  }
+
+  if (sub === 'rotation') {
+    const mode = interaction.options.getString('mode', true);
+    if (!FEED_ROTATIONS[mode]) return interaction.reply({ content: 'Unknown rotation.', ephemeral: true });
+    st.feedRotation = mode;
+    saveConfig();
+    return interaction.reply({ content: `Feed rotation set to **${FEED_ROTATIONS[mode]}**.`, ephemeral: true });
+  }
+
+  return interaction.reply({ content: 'Unknown feed command.', ephemeral: true });
+}
+
+async function handleFeedAutocomplete(interaction, st) {
+  const q = String(interaction.options.getFocused() || '').toLowerCase();
+  const choices = st.feeds
+    .filter(f => !q || feedName(f).toLowerCase().includes(q) || f.url.toLowerCase().includes(q))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(f => ({ name: truncate(feedName(f), 100), value: shortHash(f.url) }));
+  await interaction.respond(choices);
+}
+
+async function handleRadioSettings(interaction, sub) {
+  const voice = interaction.options.getChannel('voice_channel');
+  const st = voice ? stations.get(voice.id) : resolveStation(interaction);
+  if (!st || st.guildId !== interaction.guildId) {
+    return interaction.reply({ content: voice ? 'There is no station in that channel.' : noStationMessage(interaction), ephemeral: true });
+  }
+
+  if (sub === 'dj_role') {
+    const role = interaction.options.getRole('role');
+    st.djRoleId = role ? role.id : null;
+    saveConfig();
+    return interaction.reply({
+      content: role
+        ? `DJ commands in <#${st.voiceChannelId}> now need the <@&${role.id}> role.`
+        : `DJ role cleared — anyone in <#${st.voiceChannelId}> can use DJ commands.`,
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'ident') {
+    const url = interaction.options.getString('url')?.trim() || null;
+    if (url) {
+      try {
+        if (!/^https?:$/.test(new URL(url).protocol)) throw new Error('not http');
+      } catch {
+        return interaction.reply({ content: 'That doesn\'t look like an http(s) audio URL.', ephemeral: true });
+      }
+    }
+    st.identUrl = url;
+    saveConfig();
+    return interaction.reply({
+      content: url ? `Station ident set — it plays between episodes in <#${st.voiceChannelId}>.` : 'Station ident removed.',
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'admin_channel') {
+    const channel = interaction.options.getChannel('channel');
+    st.adminChannelId = channel?.id || null;
+    saveConfig();
+    return interaction.reply({
+      content: channel ? `Operator alerts for <#${st.voiceChannelId}> go to <#${channel.id}>.` : 'Operator alerts off.',
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'captions') {
+    st.liveCaptions = interaction.options.getBoolean('enabled', true);
+    if (!st.liveCaptions) stopCaptions(st);
+    saveConfig();
+    return interaction.reply({
+      content: st.liveCaptions
+        ? 'Live captions on — transcript lines go to a thread on each now-playing post (episodes with transcripts only).'
+        : 'Live captions off.',
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'skip_chapters') {
+    const titles = interaction.options.getString('titles');
+    st.skipChapterTitles = String(titles || '').split(',').map(t => t.trim()).filter(Boolean);
+    saveConfig();
+    scheduleChapterSkip(st);
+    return interaction.reply({
+      content: st.skipChapterTitles.length
+        ? `Chapters matching ${st.skipChapterTitles.map(t => `"${t}"`).join(', ')} will be skipped.`
+        : 'Chapter auto-skip off.',
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'vote_skip') {
+    st.voteSkipPercent = interaction.options.getInteger('percent', true);
+    clearSkipVotes(st);
+    saveConfig();
+    await interaction.reply({
+      content: st.voteSkipPercent
+        ? `Vote-skip on: non-DJ listeners skip once ${st.voteSkipPercent}% of <#${st.voiceChannelId}> agree.`
+        : 'Vote-skip off.',
+      ephemeral: true,
+    });
+    return refreshNowPlaying(st);
+  }
+
+  if (sub === 'rule') {
+    const command = interaction.options.getString('command', true).trim().replace(/^\//, '').toLowerCase();
+    const level = interaction.options.getString('level');
+    if (!DEFAULT_COMMAND_RULES[command]) return interaction.reply({ content: 'Unknown command.', ephemeral: true });
+    if (level) st.commandRules[command] = level;
+    else delete st.commandRules[command];
+    saveConfig();
+    return interaction.reply({ content: `\`/${command}\`: **${PERMISSION_LEVELS[ruleFor(st, command)]}**${level ? '' : ' (default)'}.`, ephemeral: true });
+  }
+
+  const lines = Object.keys(DEFAULT_COMMAND_RULES).map((command) => {
+    const custom = st.commandRules[command] ? '' : ' (default)';
+    return `\`/${command}\` — ${PERMISSION_LEVELS[ruleFor(st, command)]}${custom}`;
+  });
+  const embed = new EmbedBuilder()
+    .setColor(0x2b6cb0)
+    .setTitle(`Permissions · ${st.label}`)
+    .setDescription(lines.join('\n'))
+    .addFields(
+      { name: 'DJ role', value: st.djRoleId ? `<@&${st.djRoleId}>` : 'None — anyone in the voice channel', inline: true },
+      { name: 'Vote-skip', value: st.voteSkipPercent ? `${st.voteSkipPercent}% of listeners` : 'Off', inline: true },
+    )
+    .setFooter({ text: 'Members with Manage Server can always use every command.' });
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleRuleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().trim().replace(/^\//, '').toLowerCase();
+  const choices = Object.keys(DEFAULT_COMMAND_RULES)
+    .filter(command => command.includes(focused))
+    .slice(0, 25)
+    .map(command => ({ name: `/${command}`, value: command }));
+  await interaction.respond(choices);
+}
+
+async function handleRadio(interaction) {
+  const sub = interaction.options.getSubcommand();
+  if (!interaction.guildId) return interaction.reply({ content: 'Stations live in servers, not DMs.', ephemeral: true });
+
+  if (sub === 'list') {
+    const inGuild = [...stations.values()].filter(st => st.guildId === interaction.guildId);
+    if (!inGuild.length) return interaction.reply({ content: 'No stations yet. Create one with `/radio setup`.', ephemeral: true });
+    const lines = inGuild.map((st) => {
+      const playing = st.currentEpisode ? truncate(st.currentEpisode.title, 60) : 'idle';
+      const announce = st.announceChannelId ? ` · announces in <#${st.announceChannelId}>` : '';
+      return `<#${st.voiceChannelId}> — ${st.feeds.length} feed(s), ${st.episodes.length} episodes · ${playing}${announce}`;
+    });
+    const embed = new EmbedBuilder()
+      .setColor(0x2b6cb0)
+      .setTitle('Radio stations')
+      .setDescription(truncate(lines.join('\n'), 4000));
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (['dj_role', 'rule', 'permissions', 'vote_skip', 'ident', 'skip_chapters', 'captions', 'admin_channel'].includes(sub)) return handleRadioSettings(interaction, sub);
+
+  const voice = interaction.options.getChannel('voice_channel', true);
+
+  if (sub === 'remove') {
+    const st = stations.get(voice.id);
+    if (!st || st.guildId !== interaction.guildId) return interaction.reply({ content: 'There is no station in that channel.', ephemeral: true });
+    stopStation(st);
+    stations.delete(st.id);
+    delete savedStates[st.id];
+    saveConfig();
+    saveState();
+    log.info(`Station removed.`, { st });
+    return interaction.reply({ content: `Removed the station in <#${voice.id}>.`, ephemeral: true });
+  }
+
+  if (sub === 'setup') {
+    const announce = interaction.options.getChannel('announce_channel');
+    const feedUrl = interaction.options.getString('feed');
+    const policy = interaction.options.getString('new_episodes');
+
+    let st = stations.get(voice.id);
+    const isNew = !st;
+    // Discord allows a bot account one voice connection per server
+    const other = [...stations.values()].find(s => s.guildId === interaction.guildId && s.id !== voice.id);
+    if (isNew && other) {
+      return interaction.reply({ content: `This server already has a station in <#${other.voiceChannelId}>. Remove it first, or run a second bot account for another channel.`, ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    if (isNew) {
+      st = createStation({ voiceChannelId: voice.id, guildId: interaction.guildId });
+      stations.set(st.id, st);
+    }
+    if (announce) st.announceChannelId = announce.id;
+    if (policy) st.newEpisodePolicy = policy;
+    saveConfig();
+
+    const notes = [];
+    if (feedUrl) {
+      try {
+        const { feed, count } = await addFeed(st, feedUrl.trim());
+        notes.push(`Feed **${feedName(feed)}** (${count} episodes).`);
+      } catch (e) {
+        notes.push(`Couldn't add the feed: ${e?.message || e}`);
+      }
+    }
+    if (!st.feeds.length) notes.push('Add a feed with `/feed add` while in the voice channel.');
+
+    if (isNew) {
+      await startStation(st).catch(e => notes.push(`Couldn't start: ${e?.message || e}`));
+    } else if (announce) {
+      const ch = await client.channels.fetch(st.announceChannelId).catch(() => null);
+      st.announceChannel = ch?.isTextBased?.() ? ch : null;
+    }
+    return interaction.editReply([`${isNew ? 'Created' : 'Updated'} the station in <#${voice.id}>.`, ...notes].join('\n'));
+  }
+
+  return interaction.reply({ content: 'Unknown radio command.', ephemeral: true });
+}
+
+// ───────────────────── Button Interactions ─────────────────────
+// Buttons and menus follow the rule of the slash command they stand in for
+const COMPONENT_COMMANDS = {
+  [BTN_IDS.PAUSE]: 'pause',
+  [BTN_IDS.RESUME]: 'resume',
+  [BTN_IDS.SKIP]: 'skip',
+  [BTN_IDS.RESTART]: 'restart',
+  [BTN_IDS.REWIND]: 'rewind',
+  [BTN_IDS.FORWARD]: 'forward',
+  [BROWSE_IDS.PAGE]: 'episodes',
+  [BROWSE_IDS.PICK]: 'play',
+  [NOTES_IDS.PAGE]: 'shownotes',
+};
+
+function commandKey(interaction) {
+  const sub = interaction.options.getSubcommand(false);
+  return sub ? `${interaction.commandName} ${sub}` : interaction.commandName;
+}
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === 'radio') return handleRadio(interaction);
+      const st = resolveStation(interaction);
+      if (!st) return interaction.reply({ content: noStationMessage(interaction), ephemeral: true });
+      if (interaction.commandName === 'skip' && usesVoteSkip(interaction, st)) return handleVoteSkip(interaction, st);
+      const denied = checkPermission(interaction, st, commandKey(interaction));
+      if (denied) return interaction.reply({ content: denied, ephemeral: true });
+
+      switch (interaction.commandName) {
+        case 'nowplaying': return handleNowPlaying(interaction, st);
+        case 'skip':       return handleSkip(interaction, st);
+        case 'restart':    return handleRestart(interaction, st);
+        case 'pause':      return handlePause(interaction, st);
+        case 'resume':     return handleResume(interaction, st);
+        case 'seek':       return handleSeek(interaction, st);
+        case 'forward':    return handleSeekBy(interaction, st, 1);
+        case 'rewind':     return handleSeekBy(interaction, st, -1);
+        case 'volume':     return handleVolume(interaction, st);
+        case 'speed':      return handleSpeed(interaction, st);
+        case 'loudnorm':   return handleLoudnorm(interaction, st);
+        case 'episodes':   return handleEpisodes(interaction, st);
+        case 'play':       return handlePlay(interaction, st);
+        case 'queue':      return handleQueue(interaction, st);
+        case 'mode':       return handleMode(interaction, st);
+        case 'chapter':    return handleChapter(interaction, st);
+        case 'shownotes':  return handleShowNotes(interaction, st);
+        case 'transcript': return handleTranscript(interaction, st);
+        case 'schedule':   return handleSchedule(interaction, st);
+        case 'stats':      return handleStats(interaction, st);
+        case 'history':    return handleHistory(interaction, st);
+        case 'catchup':    return handleCatchup(interaction, st);
+        case 'feed':       return handleFeed(interaction, st);
+        default: return interaction.reply({ content: 'Unknown command.', ephemeral: true });
+      }
+    } else if (interaction.isAutocomplete()) {
+      if (interaction.commandName === 'radio') return handleRuleAutocomplete(interaction);
+      const st = resolveStation(interaction);
+      if (!st) return interaction.respond([]);
+      if (['play', 'queue', 'shownotes', 'catchup'].includes(interaction.commandName)) return handlePlayAutocomplete(interaction, st);
+      if (interaction.commandName === 'feed') return handleFeedAutocomplete(interaction, st);
+      if (interaction.commandName === 'schedule') return handleScheduleAutocomplete(interaction, st);
+      return interaction.respond([]);
+    } else if (interaction.isButton() || interaction.isStringSelectMenu()) {
+      const [action, stationId, arg, arg2] = interaction.customId.split(':');
+      // Messages from before stations existed carry no station id
+      const st = stationId ? stations.get(stationId) : resolveStation(interaction);
+      if (!st) return interaction.reply({ content: 'This station no longer exists.', ephemeral: true });
+
+      if (action === BTN_IDS.SKIP && usesVoteSkip(interaction, st)) return handleVoteSkip(interaction, st);
+      const denied = checkPermission(interaction, st, COMPONENT_COMMANDS[action] || action);
+      if (denied) return interaction.reply({ content: denied, ephemeral: true });
+
+      if (action === BROWSE_IDS.PAGE) return interaction.update(buildEpisodesPage(st, parseInt(arg, 10) || 0));
+      if (action === NOTES_IDS.PAGE) {
+        const idx = findEpisodeByShortId(st, arg);
+        if (idx === -1) return interaction.reply({ content: 'That episode is no longer in the feed.', ephemeral: true });
+        return interaction.update(buildShowNotesPage(st, st.episodes[idx], parseInt(arg2, 10) || 0));
       }
-      switch (interaction.customId) {
+
+      if (action === BROWSE_IDS.PICK) {
+        const idx = findEpisodeByShortId(st, interaction.values[0]);
+        if (idx === -1) return interaction.reply({ content: 'That episode is no longer in the feed.', ephemeral: true });
+        playEpisodeAt(st, idx);
+        return interaction.reply({ content: `Playing episode #${idx + 1}: ${st.episodes[idx].title}`, ephemeral: true });
+      }
+
+      switch (action) {
         case BTN_IDS.PAUSE: {
-          if (player.state.status !== AudioPlayerStatus.Playing) return interaction.reply({ content: 'Already paused.', ephemeral: true });
-          const elapsed = Math.max(0, Date.now() - (startedAtMs || Date.now()));
-          resumeOffsetMs += elapsed;
-          isPausedDueToEmpty = true;
-          try { player.pause(); } catch {}
-          try { ffmpegProc?.kill('SIGKILL'); } catch {}
-          ffmpegProc = null;
-          await interaction.reply({ content: `Paused @ ${hms(resumeOffsetMs)}.`, ephemeral: true });
-          await updateControlsRow(true);
+          if (st.player.state.status !== AudioPlayerStatus.Playing) return interaction.reply({ content: 'Already paused.', ephemeral: true });
+          pausePlayback(st);
+          await interaction.reply({ content: `Paused @ ${hms(st.resumeOffsetMs)}.`, ephemeral: true });
           break;
         }
         case BTN_IDS.RESUME: {
-          if (player.state.status === AudioPlayerStatus.Playing && !isPausedDueToEmpty) return interaction.reply({ content: 'Already playing.', ephemeral: true });
-          isPausedDueToEmpty = false;
-          await interaction.reply({ content: `Resuming ${currentEpisode ? currentEpisode.title : 'playback'}…`, ephemeral: true });
-          playCurrent();
-          await updateControlsRow(false);
-          break;
-        }
-        case BTN_IDS.SKIP: {
-          if (!episodes.length) return interaction.reply({ content: 'No episodes loaded.', ephemeral: true });
-          resumeOffsetMs = 0;
-          episodeIndex = (episodeIndex + 1) % episodes.length;
-          await interaction.reply({ content: `Skipping to episode #${(episodeIndex % episodes.length) + 1}: ${episodes[episodeIndex].title}`, ephemeral: true });
-          playCurrent();
-          break;
-        }
-        case BTN_IDS.RESTART: {
-          if (!currentEpisode) return interaction.reply({ content: 'Nothing to restart.', ephemeral: true });
-          resumeOffsetMs = 0;
-          await interaction.reply({ content: `Restarting: ${currentEpisode.title}`, ephemeral: true });
-          playCurrent();
+          if (st.player.state.status === AudioPlayerStatus.Playing && !st.isPausedDueToEmpty) return interaction.reply({ content: 'Already playing.', ephemeral: true });
+          await interaction.reply({ content: `Resuming ${st.currentEpisode ? st.currentEpisode.title : 'playback'}…`, ephemeral: true });
+          resumePlayback(st);
           break;
         }
+        case BTN_IDS.SKIP:
+          return handleSkip(interaction, st);
+        case BTN_IDS.RESTART:
+          return handleRestart(interaction, st);
+        case BTN_IDS.REWIND:
+          return handleSeekBy(interaction, st, -1);
+        case BTN_IDS.FORWARD:
+          return handleSeekBy(interaction, st, 1);
         default:
           await interaction.reply({ content: 'Unknown control.', ephemeral: true });
       }
     }
   } catch (e) {
-    console.error('Interaction error:', e);
+    log.error('Interaction error', { err: e });
     if (interaction.isRepliable()) {
       if (interaction.deferred || interaction.replied) {
         try { await interaction.followUp({ content: 'Something went wrong.', ephemeral: true }); } catch {}
@@ -599,6 +4173,337 @@ const COMMANDS = [
   { name: 'restart',    description: 'Restart the current episode' },
   { name: 'pause',      description: 'Pause playback (stays in VC)' },
   { name: 'resume',     description: 'Resume playback' },
+  {
+    name: 'seek',
+    description: 'Jump to a position in the current episode',
+    options: [
+      { name: 'timestamp', description: 'e.g. 1:23:45, 83m or seconds', type: ApplicationCommandOptionType.String, required: true },
+    ],
+  },
+  {
+    name: 'forward',
+    description: `Skip ahead (default ${SEEK_STEP_MS / 1000}s)`,
+    options: [
+      { name: 'seconds', description: 'How far to skip ahead', type: ApplicationCommandOptionType.Integer, min_value: 1 },
+    ],
+  },
+  {
+    name: 'rewind',
+    description: `Go back (default ${SEEK_STEP_MS / 1000}s)`,
+    options: [
+      { name: 'seconds', description: 'How far to go back', type: ApplicationCommandOptionType.Integer, min_value: 1 },
+    ],
+  },
+  {
+    name: 'volume',
+    description: 'Show or set the station volume',
+    options: [
+      { name: 'percent', description: `0–${VOLUME_MAX}`, type: ApplicationCommandOptionType.Integer, min_value: 0, max_value: VOLUME_MAX },
+    ],
+  },
+  {
+    name: 'speed',
+    description: 'Show or set the playback speed',
+    options: [
+      { name: 'rate', description: `${SPEED_MIN}–${SPEED_MAX}, e.g. 1.25`, type: ApplicationCommandOptionType.Number, min_value: SPEED_MIN, max_value: SPEED_MAX },
+    ],
+  },
+  {
+    name: 'loudnorm',
+    description: 'Show or toggle EBU R128 loudness normalization',
+    options: [
+      { name: 'enabled', description: 'Even out loudness between episodes and feeds', type: ApplicationCommandOptionType.Boolean },
+    ],
+  },
+  { name: 'episodes',   description: 'Browse the episode catalogue' },
+  {
+    name: 'play',
+    description: 'Play a specific episode',
+    options: [
+      { name: 'episode', description: 'Search by title or description, or an episode number', type: ApplicationCommandOptionType.String, required: true, autocomplete: true },
+    ],
+  },
+  {
+    name: 'queue',
+    description: 'Manage the up-next queue',
+    options: [
+      {
+        name: 'add',
+        description: 'Queue an episode to play next',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'episode', description: 'Search by title or description, or an episode number', type: ApplicationCommandOptionType.String, required: true, autocomplete: true },
+        ],
+      },
+      { name: 'list', description: 'Show the queue', type: ApplicationCommandOptionType.Subcommand },
+      {
+        name: 'remove',
+        description: 'Remove a queued episode',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'position', description: 'Queue position (1 = next)', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+        ],
+      },
+      {
+        name: 'move',
+        description: 'Move a queued episode to another position',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'from', description: 'Current position', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+          { name: 'to', description: 'New position', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+        ],
+      },
+      { name: 'clear', description: 'Empty the queue', type: ApplicationCommandOptionType.Subcommand },
+    ],
+  },
+  {
+    name: 'mode',
+    description: 'Show or change the playback order',
+    options: [
+      {
+        name: 'mode',
+        description: 'Playback order',
+        type: ApplicationCommandOptionType.String,
+        choices: Object.entries(PLAYBACK_MODES).map(([value, name]) => ({ name, value })),
+      },
+    ],
+  },
+  {
+    name: 'chapter',
+    description: 'Jump between chapters of the current episode',
+    options: [
+      { name: 'next', description: 'Jump to the next chapter', type: ApplicationCommandOptionType.Subcommand },
+      { name: 'prev', description: 'Back to the start of this chapter, or the previous one', type: ApplicationCommandOptionType.Subcommand },
+      { name: 'list', description: 'List chapters', type: ApplicationCommandOptionType.Subcommand },
+    ],
+  },
+  {
+    name: 'shownotes',
+    description: 'Read the full show notes',
+    options: [
+      { name: 'episode', description: 'Defaults to the current episode', type: ApplicationCommandOptionType.String, autocomplete: true },
+    ],
+  },
+  {
+    name: 'transcript',
+    description: 'Show the transcript around the current position',
+    options: [
+      { name: 'at', description: 'Another position, e.g. 1:23:45 or 83m', type: ApplicationCommandOptionType.String },
+    ],
+  },
+  {
+    name: 'schedule',
+    description: 'Programme shows or episodes at fixed times',
+    options: [
+      {
+        name: 'add',
+        description: 'Schedule a programme (newest episode unless you pick one)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'when', description: 'e.g. fri 20:00, weekdays 7am, or cron like 0 20 * * 5', type: ApplicationCommandOptionType.String, required: true },
+          { name: 'episode', description: 'A specific episode', type: ApplicationCommandOptionType.String, autocomplete: true },
+          { name: 'feed', description: 'Newest episode of this show', type: ApplicationCommandOptionType.String, autocomplete: true },
+          { name: 'timezone', description: `e.g. Europe/Berlin (default ${SCHEDULE_TZ})`, type: ApplicationCommandOptionType.String },
+        ],
+      },
+      { name: 'list', description: 'Show the schedule', type: ApplicationCommandOptionType.Subcommand },
+      {
+        name: 'remove',
+        description: 'Remove a scheduled programme',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'id', description: 'Schedule id from /schedule list', type: ApplicationCommandOptionType.String, required: true, autocomplete: true },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'stats',
+    description: 'Listening statistics',
+    options: [
+      { name: 'overview', description: 'Top episodes, listening hours and most skipped', type: ApplicationCommandOptionType.Subcommand },
+      { name: 'me', description: 'Your listening history', type: ApplicationCommandOptionType.Subcommand },
+      {
+        name: 'export',
+        description: 'Download the raw data (admins)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          {
+            name: 'format',
+            description: 'File format (default CSV)',
+            type: ApplicationCommandOptionType.String,
+            choices: [{ name: 'CSV (sessions)', value: 'csv' }, { name: 'JSON (everything)', value: 'json' }],
+          },
+        ],
+      },
+    ],
+  },
+  { name: 'history', description: 'Episodes you\'ve heard, and where you stopped' },
+  {
+    name: 'catchup',
+    description: 'Continue an episode where you left off',
+    options: [
+      { name: 'episode', description: 'Defaults to your most recent unfinished episode', type: ApplicationCommandOptionType.String, autocomplete: true },
+    ],
+  },
+  {
+    name: 'feed',
+    description: 'Manage podcast feeds',
+    default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+    options: [
+      {
+        name: 'add',
+        description: 'Add a feed (or update its name/weight)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'url', description: 'RSS feed URL, or a stream URL with live', type: ApplicationCommandOptionType.String, required: true },
+          { name: 'name', description: 'Show name (defaults to the feed title)', type: ApplicationCommandOptionType.String },
+          { name: 'weight', description: 'Share of airtime in weighted rotation', type: ApplicationCommandOptionType.Integer, min_value: 1, max_value: MAX_FEED_WEIGHT },
+          { name: 'live', description: 'The URL is an Icecast/HLS live stream rather than a feed', type: ApplicationCommandOptionType.Boolean },
+        ],
+      },
+      {
+        name: 'remove',
+        description: 'Remove a feed',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'feed', description: 'Feed name or number', type: ApplicationCommandOptionType.String, required: true, autocomplete: true },
+        ],
+      },
+      { name: 'list', description: 'List feeds', type: ApplicationCommandOptionType.Subcommand },
+      { name: 'refresh', description: 'Fetch every feed now', type: ApplicationCommandOptionType.Subcommand },
+      {
+        name: 'rotation',
+        description: 'How shows share airtime',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          {
+            name: 'mode',
+            description: 'Rotation across feeds',
+            type: ApplicationCommandOptionType.String,
+            required: true,
+            choices: Object.entries(FEED_ROTATIONS).map(([value, name]) => ({ name, value })),
+          },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'radio',
+    description: 'Set up radio stations in this server',
+    default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+    dm_permission: false,
+    options: [
+      {
+        name: 'setup',
+        description: 'Create or update a station in a voice channel',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'voice_channel', description: 'Voice channel to broadcast in', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice], required: true },
+          { name: 'announce_channel', description: 'Where to post now-playing and new episodes', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildText, ChannelType.GuildAnnouncement] },
+          { name: 'feed', description: 'RSS feed URL to start with', type: ApplicationCommandOptionType.String },
+          {
+            name: 'new_episodes',
+            description: 'What to do when a new episode is released',
+            type: ApplicationCommandOptionType.String,
+            choices: Object.entries(NEW_EPISODE_POLICIES).map(([value, name]) => ({ name, value })),
+          },
+        ],
+      },
+      { name: 'list', description: 'List stations in this server', type: ApplicationCommandOptionType.Subcommand },
+      {
+        name: 'dj_role',
+        description: 'Set the role allowed to use DJ commands (omit to clear)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'role', description: 'DJ role', type: ApplicationCommandOptionType.Role },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'rule',
+        description: 'Set who may use a command (omit level to reset)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          {
+            name: 'command',
+            description: 'Command',
+            type: ApplicationCommandOptionType.String,
+            required: true,
+            autocomplete: true, // more commands than Discord's 25-choice limit
+          },
+          {
+            name: 'level',
+            description: 'Who may use it',
+            type: ApplicationCommandOptionType.String,
+            choices: Object.entries(PERMISSION_LEVELS).map(([value, name]) => ({ name, value })),
+          },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'ident',
+        description: 'Short audio clip played between episodes (omit to remove)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'url', description: 'Audio file URL', type: ApplicationCommandOptionType.String },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'captions',
+        description: 'Post transcript lines to a thread while episodes play',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'enabled', description: 'Live captions on or off', type: ApplicationCommandOptionType.Boolean, required: true },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'admin_channel',
+        description: 'Where to alert operators about failing episodes (omit to turn off)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'channel', description: 'Text channel for alerts', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildText] },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'skip_chapters',
+        description: 'Auto-skip chapters whose titles contain any of these (omit to turn off)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'titles', description: 'Comma-separated, e.g. Sponsor, Ad break', type: ApplicationCommandOptionType.String },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'vote_skip',
+        description: 'Make non-DJ listeners vote to skip (0 turns it off)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'percent', description: 'Share of listeners that must agree', type: ApplicationCommandOptionType.Integer, required: true, min_value: 0, max_value: 100 },
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'permissions',
+        description: 'Show who may use each command',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'voice_channel', description: 'Station (defaults to the one you\'re in)', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice] },
+        ],
+      },
+      {
+        name: 'remove',
+        description: 'Remove a station',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          { name: 'voice_channel', description: 'The station\'s voice channel', type: ApplicationCommandOptionType.Channel, channel_types: [ChannelType.GuildVoice], required: true },
+        ],
+      },
+    ],
+  },
 ];
 
 async function registerSlashCommands() {
@@ -606,53 +4511,368 @@ async function registerSlashCommands() {
   try {
     if (GUILD_ID) {
       await rest.put(Routes.applicationGuildCommands(APP_ID, GUILD_ID), { body: COMMANDS });
-      console.log('Guild commands registered.');
+      log.info('Guild commands registered.');
     }
     await rest.put(Routes.applicationCommands(APP_ID), { body: COMMANDS });
-    console.log('Global commands registered.');
+    log.info('Global commands registered.');
+  } catch (e) {
+    log.error('Failed to register slash commands', { err: e });
+  }
+}
+
+// ───────────────────── Event Subscribers ─────────────────────
+subscribe(PLAYBACK_EVENTS, (event, type) => {
+  if (LOG_LEVELS.debug >= LOG_THRESHOLD) log.debug(`Event ${type}`, { event: type, userId: event.userId, ...eventJson(event) });
+});
+
+// Announcements
+subscribe('episodeStarted', ({ st, episode, index, total }) => announceEpisodeStart(st, episode, index, total));
+subscribe('feedUpdated', ({ st }) => announceNewReleases(st));
+
+// Presence
+subscribe('playing', ({ episode }) => setListeningStatus(episode));
+
+// Now-playing message (a fresh episode gets a new one from announceEpisodeStart)
+subscribe('playing', ({ st, announced }) => {
+  if (!announced) refreshNowPlaying(st);
+});
+subscribe(['paused', 'resumed'], ({ st }) => refreshNowPlaying(st));
+
+// Analytics
+// Repeat mode, /restart and scheduled replays aren't re-announced but are plays
+subscribe('playing', ({ st, episode, fromStart }) => {
+  if (fromStart) recordEpisodeStat(st, episode, 'plays');
+});
+subscribe('skipped', ({ st, episode }) => recordEpisodeStat(st, episode, 'skips'));
+subscribe('episodeFinished', ({ st, episode }) => {
+  recordEpisodeStat(st, episode, 'completions');
+  markListenersFinished(st);
+});
+subscribe(['listenerJoined', 'listenerLeft'], ({ st }) => accountListening(st));
+
+// ───────────────────── HTTP API ─────────────────────
+// Optional (HTTP_PORT). GETs are open for health checks and dashboards; POSTs need
+// `Authorization: Bearer <API_TOKEN>` and are refused outright when no token is set.
+const sseClients = new Set(); // { res, stationId }
+
+function episodeSummary(st, ep) {
+  if (!ep) return null;
+  return {
+    key: episodeKey(ep),
+    title: ep.title,
+    show: ep.show || null,
+    url: ep.url,
+    link: ep.link || null,
+    artwork: ep.artwork || null,
+    durationMs: episodeDurationMs(ep),
+  };
+}
+
+// Bus payloads carry live station/episode objects; this is their wire form. The
+// event stream is open to anyone who can reach the port, so user ids stay out.
+function eventJson({ st, userId, ...data }) {
+  const out = { station: st.id, label: st.label, ...data };
+  if ('episode' in data) out.episode = episodeSummary(st, data.episode);
+  for (const field of ['added', 'removed', 'changed']) {
+    if (Array.isArray(data[field])) out[field] = data[field].map(ep => episodeSummary(st, ep));
+  }
+  return out;
+}
+
+subscribe(PLAYBACK_EVENTS, (event, type) => {
+  if (!sseClients.size) return;
+  const payload = JSON.stringify(eventJson(event));
+  for (const sub of sseClients) {
+    if (!sub.stationId || sub.stationId === event.st.id) sub.res.write(`event: ${type}\ndata: ${payload}\n\n`);
+  }
+});
+
+function playerStatus(st) {
+  if (st.isPausedDueToEmpty) return st.pauseReason === 'listeners' ? 'auto-paused' : 'paused';
+  return st.identProc ? 'ident' : st.player.state.status;
+}
+
+// `ok` is the process and gateway only: one guild's voice connection dropping shouldn't
+// get the whole bot restarted by a health check. Each station reports its own voice state.
+function healthReport() {
+  const list = [...stations.values()].map(st => ({
+    id: st.id,
+    label: st.label,
+    voice: st.connection?.state.status || 'disconnected',
+    player: playerStatus(st),
+    retrying: st.streamRetry ? { key: st.streamRetry.key, attempts: st.streamRetry.attempts } : null,
+    feeds: st.feeds.map((f) => {
+      const health = st.feedHealth.get(f.url);
+      return {
+        url: f.url,
+        failures: health?.failures || 0,
+        lastError: health?.lastError || null,
+        lastOkAt: health?.lastOkAt ? new Date(health.lastOkAt).toISOString() : null,
+        skipped: health?.skipped.length || 0,
+      };
+    }),
+    quarantined: activeQuarantine(st),
+    offAir: activeQuarantine(st, { offAir: true }),
+  }));
+  return {
+    ok: client.isReady(),
+    gateway: { ready: client.isReady(), ping: client.ws.ping },
+    stations: list,
+  };
+}
+
+function stationStatus(st) {
+  const humans = stationHumans(st);
+  return {
+    id: st.id,
+    label: st.label,
+    guildId: st.guildId,
+    voiceChannelId: st.voiceChannelId,
+    status: playerStatus(st),
+    episode: episodeSummary(st, st.currentEpisode),
+    offsetMs: Math.floor(currentOffsetMs(st)),
+    mode: st.playbackMode,
+    audio: { volume: st.volume, speed: st.speed, loudnorm: st.loudnorm },
+    listeners: humans ? humans.size : 0, // a count only: GETs are unauthenticated
+    upNext: queuedEpisodes(st).map(ep => episodeSummary(st, ep)),
+  };
+}
+
+// Discord commands come from someone in the channel, API calls may not. With nobody
+// there the station stays (or goes) paused: only a voice-state change would pause it later.
+function apiMayPlay(st) {
+  if (stationHumans(st)?.size) return true;
+  if (!st.isPausedDueToEmpty && st.player.state.status === AudioPlayerStatus.Playing) pausePlayback(st, 'listeners');
+  return false;
+}
+
+// Each returns a result object, or a string explaining why it couldn't.
+const API_ACTIONS = {
+  skip(st) {
+    if (!st.episodes.length) return 'No episodes loaded.';
+    apiMayPlay(st);
+    skipEpisode(st, 'api');
+    return { episode: episodeSummary(st, st.episodes[st.episodeIndex % st.episodes.length]) };
+  },
+  pause(st) {
+    if (st.player.state.status !== AudioPlayerStatus.Playing) return 'Already paused or not playing.';
+    pausePlayback(st);
+    return { offsetMs: st.resumeOffsetMs };
+  },
+  resume(st) {
+    if (st.player.state.status === AudioPlayerStatus.Playing && !st.isPausedDueToEmpty) return 'Already playing.';
+    if (!apiMayPlay(st)) return 'Nobody is in the voice channel; playback resumes when someone joins.';
+    resumePlayback(st);
+    return { offsetMs: st.resumeOffsetMs };
+  },
+  seek(st, body) {
+    if (!st.currentEpisode) return 'Nothing playing yet.';
+    if (st.currentEpisode.live) return 'Live streams can\'t be seeked.';
+    const ms = typeof body.offsetMs === 'number' ? body.offsetMs : parseTimestamp(String(body.position ?? ''));
+    if (ms === null || !(ms >= 0)) return 'Give `offsetMs` or a `position` like 1:23:45, 83m or seconds.';
+    seekTo(st, ms);
+    return { offsetMs: st.resumeOffsetMs };
+  },
+  queue(st, body) {
+    if (st.upNext.length >= QUEUE_LIMIT) return `The queue is full (${QUEUE_LIMIT} episodes).`;
+    const idx = resolveEpisodeQuery(st, String(body.episode ?? ''));
+    if (idx === -1) return 'No episode matches.';
+    st.upNext.push(episodeKey(st.episodes[idx]));
+    saveState();
+    return { position: st.upNext.length, episode: episodeSummary(st, st.episodes[idx]) };
+  },
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+  const given = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJsonBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > API_BODY_LIMIT) throw new Error('Body too large');
+  }
+  if (!raw.trim()) return {};
+  const body = JSON.parse(raw);
+  return body && typeof body === 'object' ? body : {};
+}
+
+// ?station=<voice channel id>, or the only station when there's just one
+function apiStation(id) {
+  if (id) return stations.get(id) || null;
+  return stations.size === 1 ? stations.values().next().value : null;
+}
+
+function openEventStream(req, res, stationId) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.write(': connected\n\n');
+  const sub = { res, stationId };
+  sseClients.add(sub);
+  req.on('close', () => sseClients.delete(sub));
+}
+
+async function handleHttp(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const stationId = url.searchParams.get('station');
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    const report = healthReport();
+    return sendJson(res, report.ok ? 200 : 503, report);
+  }
+  if (req.method === 'GET' && url.pathname === '/status') {
+    const list = stationId ? [stations.get(stationId)].filter(Boolean) : [...stations.values()];
+    if (stationId && !list.length) return sendJson(res, 404, { error: 'Unknown station.' });
+    return sendJson(res, 200, { stations: list.map(stationStatus) });
+  }
+  if (req.method === 'GET' && url.pathname === '/events') return openEventStream(req, res, stationId);
+
+  const action = req.method === 'POST' && Object.hasOwn(API_ACTIONS, url.pathname.slice(1)) && API_ACTIONS[url.pathname.slice(1)];
+  if (!action) return sendJson(res, 404, { error: 'Not found.' });
+  if (!API_TOKEN) return sendJson(res, 403, { error: 'Control endpoints are disabled — set API_TOKEN.' });
+  if (!isAuthorized(req)) return sendJson(res, 401, { error: 'Missing or wrong bearer token.' });
+
+  let body;
+  try {
+    body = await readJsonBody(req);
   } catch (e) {
-    console.error('Failed to register slash commands:', e?.message || e);
+    return sendJson(res, 400, { error: `Bad request body: ${e?.message || e}` });
   }
+  const st = apiStation(stationId || body.station);
+  if (!st) return sendJson(res, 404, { error: stations.size > 1 ? 'Pick a station with ?station=<voice channel id>.' : 'Unknown station.' });
+
+  const result = action(st, body);
+  if (typeof result === 'string') return sendJson(res, 409, { error: result });
+  log.info(`API ${url.pathname.slice(1)}`, { st });
+  return sendJson(res, 200, { ok: true, ...result });
+}
+
+function startHttpServer() {
+  const port = Number(HTTP_PORT);
+  if (!port) return;
+  const server = http.createServer((req, res) => {
+    handleHttp(req, res).catch((e) => {
+      log.error('HTTP API error', { err: e });
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal error.' });
+    });
+  });
+  server.on('error', e => log.error('HTTP API failed', { err: e }));
+  server.listen(port, () => log.info(`HTTP API listening on :${port}${API_TOKEN ? '' : ' (read-only — no API_TOKEN)'}`));
+  setInterval(() => {
+    for (const { res } of sseClients) res.write(': ping\n\n');
+  }, SSE_PING_MS);
 }
 
+// ───────────────────── Exports ─────────────────────
+// Importing the module boots nothing; these let tests drive a station against a
+// stub player and watch the event bus.
+export {
+  log,
+  bus,
+  subscribe,
+  emitPlaybackEvent,
+  PLAYBACK_EVENTS,
+  stations,
+  createStation,
+  stopStation,
+  playCurrent,
+  pausePlayback,
+  resumePlayback,
+  skipEpisode,
+  reconcileEpisodeIndex,
+  snapshotState,
+  restoreState,
+  fetchEpisodes,
+  announceNewReleases,
+  tickSchedules,
+  startScheduledProgramme,
+  onEpisodeEnded,
+  streamFailureReason,
+  handleStreamFailure,
+  healthReport,
+  handleHttp,
+  episodeStats,
+  COMMANDS,
+  STARTUP_WATCHDOG_MS,
+  STREAM_RETRY_LIMIT,
+  STREAM_RETRY_BASE_MS,
+  STREAM_RETRY_MAX_MS,
+  STREAM_RETRY_REWIND_MS,
+  TRUNCATION_MARGIN_MS,
+};
+
 // ───────────────────── Boot ─────────────────────
 async function main() {
+  if (!DISCORD_TOKEN || !APP_ID) {
+    log.error('Missing env. Require: DISCORD_TOKEN, APP_ID');
+    process.exit(1);
+  }
+  // Voice encryption is only needed once we connect, so importing the module doesn't load it
+  const { default: sodium } = await import('libsodium-wrappers');
   await sodium.ready;
 
   await registerSlashCommands();
 
   await client.login(DISCORD_TOKEN);
-  console.log(`Logged in as ${client.user?.tag}`);
+  log.info(`Logged in as ${client.user?.tag}`);
 
-  if (ANNOUNCE_CHANNEL_ID) {
-    try {
-      const ch = await client.channels.fetch(ANNOUNCE_CHANNEL_ID);
-      if (ch && typeof ch.isTextBased === 'function' && ch.isTextBased()) {
-        announceChannel = ch;
-        console.log(`Using announce channel ${ANNOUNCE_CHANNEL_ID}`);
-      } else {
-        console.warn('ANNOUNCE_CHANNEL_ID is not a text channel. Announcements disabled.');
-      }
-    } catch {
-      console.warn('Could not fetch ANNOUNCE_CHANNEL_ID. Announcements disabled.');
-    }
+  loadConfig();
+  savedStates = loadState();
+  loadStats();
+  evictCache();
+  for (const st of stations.values()) {
+    await startStation(st).catch(e => log.error(`Station failed to start`, { st, err: e }));
   }
+  saveConfig(); // record guild ids / labels resolved at startup
+  startHttpServer();
+  setInterval(refreshAllStations, REFRESH_RSS_MS);
+  setInterval(saveState, STATE_SAVE_INTERVAL_MS);
+  setInterval(tickSchedules, SCHEDULE_TICK_MS);
+  setInterval(tickNowPlaying, NOW_PLAYING_TICK_MS);
+  setInterval(() => {
+    for (const st of stations.values()) accountListening(st);
+    saveStats();
+  }, STATS_TICK_MS);
 
-  await fetchEpisodes();
-  setInterval(fetchEpisodes, REFRESH_RSS_MS);
-
-  await ensureConnection();
-  console.log('Waiting for listeners…');
+  if (!stations.size) log.info('No stations configured — run /radio setup in a server.');
 }
 
-process.on('SIGTERM', () => {
-  try { stopKeepAlive(); } catch {}
-  try { ffmpegProc?.kill('SIGKILL'); } catch {}
-  try { connection?.destroy(); } catch {}
+function shutdown() {
+  try { saveState(); } catch {}
+  try {
+    for (const st of stations.values()) flushListening(st);
+    saveStats();
+  } catch {}
+  for (const st of stations.values()) {
+    try { stopStation(st); } catch {}
+  }
   process.exit(0);
-});
+}
 
-main().catch(err => {
-  console.error('Fatal boot error:', err?.message || err);
-  process.exit(1);
-});
+// Only running this file boots the bot — `node bot.js`, `node .` (package main) or
+// through a symlink — while importing it doesn't. Node's own resolution and
+// realpaths make those all land on the same file.
+function isEntryPoint() {
+  if (!process.argv[1]) return false;
+  try {
+    const entry = createRequire(import.meta.url).resolve(path.resolve(process.argv[1]));
+    return fs.realpathSync(entry) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch {
+    return false;
+  }
+}
+
+if (isEntryPoint()) {
+  process.on('SIGTERM', shutdown);
+  main().catch(err => {
+    log.error('Fatal boot error', { err });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,63 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import http from 'node:http';
+import { loadBot, audioServer, trickle, makeStation, episode } from './helpers.js';
+
+const TOKEN = 'test-token';
+const { bot } = await loadBot({ CACHE_MAX_MB: '0', API_TOKEN: TOKEN });
+const server = await audioServer({
+  '/a.mp3': trickle(2_000_000),
+  '/b.mp3': trickle(2_000_000),
+});
+// Nobody is in this station's voice channel: the bot never joined one
+const st = makeStation(bot, [episode('a', server.url('/a.mp3')), episode('b', server.url('/b.mp3'))]);
+
+const api = http.createServer((req, res) => bot.handleHttp(req, res));
+api.listen(0, '127.0.0.1');
+await once(api, 'listening');
+
+after(() => {
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+  server.close();
+  api.closeAllConnections();
+  api.close();
+});
+
+async function post(action) {
+  const res = await fetch(`http://127.0.0.1:${api.address().port}/${action}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body: '{}',
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('skip with nobody listening pauses the station and cues the next episode', async () => {
+  const playing = once(bot.bus, 'playing');
+  await bot.playCurrent(st);
+  await playing;
+  assert.equal(st.player.state.status, 'playing');
+
+  const { status, body } = await post('skip');
+  assert.equal(status, 200);
+  assert.equal(body.episode.title, 'Episode b');
+  assert.equal(st.isPausedDueToEmpty, true);
+  assert.equal(st.pauseReason, 'listeners');
+  assert.equal(st.player.state.status, 'paused');
+  assert.equal(st.ffmpegProc, null);
+  assert.equal(st.episodes[st.episodeIndex].guid, 'b');
+  assert.equal(st.resumeOffsetMs, 0);
+});
+
+test('resume with nobody listening stays paused', async () => {
+  const hits = server.hits('/b.mp3');
+  const { status, body } = await post('resume');
+  assert.equal(status, 409);
+  assert.match(body.error, /Nobody is in the voice channel/);
+  assert.equal(st.isPausedDueToEmpty, true);
+  assert.equal(st.ffmpegProc, null);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(server.hits('/b.mp3'), hits);
+});
@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadBot, audioServer, trickle, makeStation, episode } from './helpers.js';
+
+const { bot, dir } = await loadBot({ CACHE_MAX_MB: '50' });
+
+// Requests for the whole file; the chapter lookup's ranged peek at the first bytes doesn't count
+const downloads = {};
+function counted(route) {
+  return (req, res) => {
+    if (!/^bytes=0-\d/.test(req.headers.range || '')) downloads[req.url] = (downloads[req.url] || 0) + 1;
+    route(req, res);
+  };
+}
+
+const server = await audioServer({
+  '/ep.mp3': counted(trickle(200_000, { chunk: 20_000, everyMs: 20 })),
+  // An MP4 box header up front, then a slow body so the episode is still on air when we look
+  '/ep.m4a': counted((req, res) => {
+    const body = Buffer.alloc(2_000_000, 0x55);
+    body.write('\x00\x00\x00\x20ftypM4A ', 0, 'latin1');
+    res.writeHead(200, { 'Content-Type': 'audio/mp4', 'Content-Length': body.length });
+    let sent = 0;
+    const timer = setInterval(() => {
+      res.write(body.subarray(sent, sent += 2048));
+      if (sent >= body.length) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, 20);
+    res.on('close', () => clearInterval(timer));
+  }),
+});
+
+const created = [];
+after(() => {
+  for (const st of created) {
+    bot.stations.delete(st.id);
+    bot.stopStation(st);
+  }
+  server.close();
+});
+
+// The second episode is what gets prefetched while the first plays
+function station(id, ep) {
+  const st = makeStation(bot, [ep, episode('later', server.url('/later.mp3'))], { voiceChannelId: id });
+  created.push(st);
+  return st;
+}
+
+function nextEvent(st, type) {
+  return new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.st !== st) return;
+      bot.bus.off(type, listener);
+      resolve(event);
+    };
+    bot.bus.on(type, listener);
+  });
+}
+
+const cacheFiles = () => fs.readdirSync(path.join(dir, 'cache')).filter(f => !f.endsWith('.part'));
+
+test('a first play of an MP3 downloads it once and leaves it in the cache', async () => {
+  const st = station('test-cache-mp3', episode('mp3', server.url('/ep.mp3')));
+  const finished = nextEvent(st, 'episodeFinished');
+  await bot.playCurrent(st);
+  await finished;
+  bot.stations.delete(st.id);
+
+  assert.equal(downloads['/ep.mp3'], 1);
+  assert.equal(cacheFiles().length, 1);
+  assert.equal(fs.statSync(path.join(dir, 'cache', cacheFiles()[0])).size, 200_000);
+});
+
+test('a first play of an MP4 is streamed by ffmpeg without a second copy for the cache', async () => {
+  const st = station('test-cache-m4a', episode('m4a', server.url('/ep.m4a'), { mimeType: 'audio/mp4' }));
+  const playing = nextEvent(st, 'playing');
+  await bot.playCurrent(st);
+  await playing;
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  // One request that's dropped once the format is sniffed, and ffmpeg's own
+  assert.equal(downloads['/ep.m4a'], 2);
+  assert.equal(cacheFiles().length, 1);
+});
@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { loadBot, audioServer, trickle, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+const server = await audioServer({
+  '/a.mp3': trickle(2_000_000),
+  '/b.mp3': trickle(2_000_000),
+});
+const st = makeStation(bot, [episode('a', server.url('/a.mp3')), episode('b', server.url('/b.mp3'))]);
+
+after(() => {
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+  server.close();
+});
+
+function nextEvent(type) {
+  return once(bot.bus, type).then(([event]) => event);
+}
+
+test('a fresh episode emits episodeStarted, then playing', async () => {
+  const seen = [];
+  const record = (_, type) => seen.push(type);
+  bot.subscribe(['episodeStarted', 'playing'], record);
+  const started = nextEvent('episodeStarted');
+  const playing = nextEvent('playing');
+  await bot.playCurrent(st);
+
+  const event = await started;
+  assert.equal(event.st, st);
+  assert.equal(event.episode.guid, 'a');
+  assert.equal(event.index, 0);
+  assert.equal(event.total, 2);
+  assert.equal((await playing).fromStart, true);
+  assert.deepEqual(seen, ['episodeStarted', 'playing']);
+});
+
+test('pausePlayback emits paused with the resume point and pauses the player', async () => {
+  const paused = nextEvent('paused');
+  bot.pausePlayback(st);
+
+  const event = await paused;
+  assert.equal(event.reason, 'manual');
+  assert.equal(event.offsetMs, st.resumeOffsetMs);
+  assert.equal(st.player.state.status, 'paused');
+  assert.equal(st.ffmpegProc, null);
+});
+
+test('resumePlayback emits resumed, and playing without restarting the episode', async () => {
+  const resumed = nextEvent('resumed');
+  const playing = nextEvent('playing');
+  bot.resumePlayback(st);
+
+  assert.equal((await resumed).offsetMs, st.resumeOffsetMs);
+  const event = await playing;
+  assert.equal(event.episode.guid, 'a');
+  assert.equal(event.fromStart, false);
+});
+
+test('skipEpisode emits skipped for the current episode, then starts the next', async () => {
+  const skipped = nextEvent('skipped');
+  const started = nextEvent('episodeStarted');
+  bot.skipEpisode(st, 'member', 'user-1');
+
+  const event = await skipped;
+  assert.equal(event.episode.guid, 'a');
+  assert.equal(event.by, 'member');
+  assert.equal(event.userId, 'user-1');
+  assert.equal((await started).episode.guid, 'b');
+});
+
+test('a failing subscriber is logged and does not stop the others', async () => {
+  let reached = false;
+  bot.subscribe('seeked', () => { throw new Error('sync failure'); });
+  bot.subscribe('seeked', () => Promise.reject(new Error('async failure')));
+  bot.subscribe('seeked', () => { reached = true; });
+
+  const errors = [];
+  const write = process.stderr.write;
+  process.stderr.write = (line) => {
+    errors.push(JSON.parse(line));
+    return true;
+  };
+  try {
+    bot.emitPlaybackEvent(st, 'seeked', { offsetMs: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    process.stderr.write = write;
+  }
+
+  assert.equal(reached, true);
+  assert.deepEqual(errors.map(e => [e.level, e.msg, e.error]), [
+    ['error', 'seeked subscriber failed', 'sync failure'],
+    ['error', 'seeked subscriber failed', 'async failure'],
+  ]);
+  assert.equal(errors[0].station, st.id);
+});
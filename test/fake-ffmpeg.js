@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Stands in for ffmpeg (via FFMPEG_BIN) so playback runs without a real encoder:
+// the input — stdin, a URL or a file — comes out as Ogg Opus pages on stdout, one
+// packet per chunk. Input that breaks off ends the output early and, like the real
+// thing, gets an "Input/output error" line on stderr but a clean exit.
+import fs from 'node:fs';
+import http from 'node:http';
+
+const args = process.argv.slice(2);
+const input = args[args.indexOf('-i') + 1];
+
+// Duration probes (`ffmpeg -i <url>` with no output) get nothing back
+if (!args.includes('pipe:1')) process.exit(1);
+
+let seq = 0;
+function page(packet, flags = 0) {
+  const lacing = [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255];
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0);
+  header.writeUInt8(flags, 5);
+  header.writeUInt32BE(1, 14); // bitstream serial
+  header.writeUInt32LE(seq++, 18);
+  header.writeUInt8(lacing.length, 26);
+  return Buffer.concat([header, Buffer.from(lacing), packet]);
+}
+
+function encode(source) {
+  process.stdout.on('error', () => process.exit(0)); // player let go of us
+  process.stdout.write(page(Buffer.from('OpusHead\x01\x02\x00\x00\x80\xbb\x00\x00\x00\x00\x00', 'latin1'), 2));
+  process.stdout.write(page(Buffer.from('OpusTags\x00\x00\x00\x00\x00\x00\x00\x00', 'latin1')));
+  source.on('data', (chunk) => {
+    for (let i = 0; i < chunk.length; i += 1000) process.stdout.write(page(chunk.subarray(i, i + 1000)));
+  });
+  source.on('end', () => process.stdout.end());
+  source.on('error', () => {
+    process.stderr.write(`${input}: Input/output error\n`);
+    process.stdout.end();
+  });
+}
+
+if (input === 'pipe:0') {
+  encode(process.stdin);
+} else if (/^https?:/.test(input)) {
+  http.get(input, (res) => {
+    if (res.statusCode >= 400) {
+      process.stderr.write(`Server returned ${res.statusCode}\n`);
+      process.exit(1);
+    }
+    encode(res);
+  }).on('error', (e) => {
+    process.stderr.write(`${e.message}\n`);
+    process.exit(1);
+  });
+} else {
+  encode(fs.createReadStream(input));
+}
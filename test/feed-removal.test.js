@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBot, audioServer, trickle, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+const server = await audioServer({ '/ep.mp3': trickle(2_000_000) });
+
+const created = [];
+after(() => {
+  for (const st of created) {
+    bot.stations.delete(st.id);
+    bot.stopStation(st);
+  }
+  server.close();
+});
+
+function nextEvent(st, type) {
+  return new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.st !== st) return;
+      bot.bus.off(type, listener);
+      resolve(event);
+    };
+    bot.bus.on(type, listener);
+  });
+}
+
+// Oldest first: a, b, c, d. Starts b at 10 minutes, then the feed drops b.
+async function removeWhilePlaying(id, mode) {
+  const [a, b, c, d] = ['a', 'b', 'c', 'd'].map((guid, i) => episode(guid, server.url('/ep.mp3'), { pubDate: i + 1 }));
+  const st = makeStation(bot, [a, b, c, d], { voiceChannelId: id });
+  created.push(st);
+  st.playbackMode = mode;
+  st.episodeIndex = 1;
+  st.resumeOffsetMs = 600_000;
+  const playing = nextEvent(st, 'playing');
+  await bot.playCurrent(st);
+  await playing;
+
+  const prev = st.episodes;
+  st.episodes = [a, c, d];
+  bot.reconcileEpisodeIndex(st, prev);
+  return st;
+}
+
+test('the episode on air keeps playing and is not saved as its successor', async () => {
+  const st = await removeWhilePlaying('test-removal-chrono', 'chronological');
+  assert.equal(st.currentEpisode.guid, 'b');
+  assert.ok(st.ffmpegProc);
+
+  const saved = bot.snapshotState(st);
+  assert.equal(saved.episodeTitle, 'Episode c');
+  assert.equal(saved.offsetMs, 0);
+
+  const started = nextEvent(st, 'episodeStarted');
+  bot.skipEpisode(st, 'member');
+  assert.equal((await started).episode.guid, 'c');
+});
+
+test('newest-first carries on with the next older episode', async () => {
+  const st = await removeWhilePlaying('test-removal-newest', 'newest');
+  assert.equal(bot.snapshotState(st).episodeTitle, 'Episode a');
+
+  const started = nextEvent(st, 'episodeStarted');
+  bot.skipEpisode(st, 'member');
+  assert.equal((await started).episode.guid, 'a');
+});
+
+test('a pause and resume picks the removed episode back up where it was', async () => {
+  const st = await removeWhilePlaying('test-removal-resume', 'chronological');
+  bot.pausePlayback(st);
+  assert.ok(st.resumeOffsetMs >= 600_000);
+
+  const playing = nextEvent(st, 'playing');
+  bot.resumePlayback(st);
+  const event = await playing;
+  assert.equal(event.episode.guid, 'b');
+  assert.ok(event.offsetMs >= 600_000);
+
+  const started = nextEvent(st, 'episodeStarted');
+  bot.skipEpisode(st, 'member');
+  assert.equal((await started).episode.guid, 'c');
+});
@@ -0,0 +1,111 @@
+// Shared setup for tests that drive a station without Discord: a stub audio player,
+// a local HTTP server for enclosures and a scratch data directory.
+import { EventEmitter, once } from 'node:events';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+// bot.js reads its environment when it loads, so this has to run before the import.
+export async function loadBot(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'podcast-radio-test-'));
+  Object.assign(process.env, {
+    FFMPEG_BIN: path.join(here, 'fake-ffmpeg.js'),
+    STATE_FILE: path.join(dir, 'state.json'),
+    CONFIG_FILE: path.join(dir, 'config.json'),
+    STATS_FILE: path.join(dir, 'stats.json'),
+    CACHE_DIR: path.join(dir, 'cache'),
+    LOG_LEVEL: 'error',
+    ...env,
+  });
+  const bot = await import('../bot.js');
+  return { bot, dir };
+}
+
+// Behaves like @discordjs/voice's AudioPlayer as far as a station can tell: it
+// consumes the resource it's given and goes idle when that resource runs out.
+export function stubPlayer() {
+  const player = new EventEmitter();
+  player.state = { status: 'idle' };
+  const setStatus = (status, resource = player.state.resource) => {
+    const old = player.state;
+    player.state = { status, resource };
+    if (old.status !== status) player.emit(status, old, player.state);
+  };
+  player.play = (resource) => {
+    setStatus('playing', resource);
+    resource.playStream.on('data', () => {});
+    resource.playStream.once('close', () => {
+      if (player.state.resource === resource && player.state.status === 'playing') setStatus('idle', null);
+    });
+  };
+  player.pause = () => setStatus('paused');
+  player.unpause = () => setStatus('playing');
+  player.stop = () => setStatus('idle', null);
+  return player;
+}
+
+// routes: { '/path': (req, res) => … }. Counts requests per path.
+export async function audioServer(routes) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    hits[pathname] = (hits[pathname] || 0) + 1;
+    const route = routes[pathname];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    route(req, res);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: p => `http://127.0.0.1:${server.address().port}${p}`,
+    hits: p => hits[p] || 0,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
+
+// Audio-ish bytes: an MP3 frame header up front so format sniffing settles on mp3.
+export function mp3Bytes(size) {
+  const buf = Buffer.alloc(size, 0x55);
+  buf.set([0xff, 0xfb, 0x90, 0x64]);
+  return buf;
+}
+
+// Streams `total` bytes in small chunks so an episode keeps "playing" for a while.
+export function trickle(total, { chunk = 2048, everyMs = 20 } = {}) {
+  return (req, res) => {
+    const body = mp3Bytes(total);
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': total });
+    let sent = 0;
+    const timer = setInterval(() => {
+      res.write(body.subarray(sent, sent + chunk));
+      sent += chunk;
+      if (sent >= total) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, everyMs);
+    res.on('close', () => clearInterval(timer));
+  };
+}
+
+export function makeStation(bot, episodes, cfg = {}) {
+  const st = bot.createStation({ voiceChannelId: 'test-station', label: 'Test', ...cfg }, { player: stubPlayer() });
+  st.episodes = episodes;
+  st.hasStartedPlayback = true;
+  bot.stations.set(st.id, st);
+  return st;
+}
+
+export function episode(guid, url, extra = {}) {
+  return { guid, title: `Episode ${guid}`, url, pubDate: 0, mimeType: 'audio/mpeg', ...extra };
+}
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBot, audioServer, mp3Bytes, trickle, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+const server = await audioServer({
+  '/short.mp3': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.end(mp3Bytes(20_000));
+  },
+  '/long.mp3': trickle(2_000_000),
+  '/ident.mp3': trickle(2_000_000),
+});
+
+const created = [];
+function station(id) {
+  const st = makeStation(bot, [
+    episode('first', server.url('/short.mp3')),
+    episode('second', server.url('/long.mp3')),
+    episode('third', server.url('/long.mp3')),
+  ], { voiceChannelId: id, identUrl: server.url('/ident.mp3') });
+  created.push(st);
+  return st;
+}
+
+after(() => {
+  for (const st of created) {
+    bot.stations.delete(st.id);
+    bot.stopStation(st);
+  }
+  server.close();
+});
+
+function nextEvent(st, type) {
+  return new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.st !== st) return;
+      bot.bus.off(type, listener);
+      resolve(event);
+    };
+    bot.bus.on(type, listener);
+  });
+}
+
+// Plays the short first episode through to the ident that follows it.
+async function untilIdent(st) {
+  const finished = nextEvent(st, 'episodeFinished');
+  await bot.playCurrent(st);
+  assert.equal((await finished).episode.guid, 'first');
+  assert.ok(st.identProc, 'ident should be playing');
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('pausing during the ident keeps the next episode at its start', async () => {
+  const st = station('test-ident-pause');
+  await untilIdent(st);
+
+  const paused = nextEvent(st, 'paused');
+  bot.pausePlayback(st);
+  assert.equal((await paused).offsetMs, 0);
+  assert.equal(st.identProc, null);
+
+  const started = nextEvent(st, 'episodeStarted');
+  bot.resumePlayback(st);
+  assert.equal((await started).episode.guid, 'second');
+});
+
+test('skipping during the ident ends the ident, not the next episode', async () => {
+  const st = station('test-ident-skip');
+  await untilIdent(st);
+
+  let skipped = false;
+  const onSkipped = (event) => { if (event.st === st) skipped = true; };
+  bot.bus.on('skipped', onSkipped);
+  const started = nextEvent(st, 'episodeStarted');
+  bot.skipEpisode(st, 'member', 'user-1');
+
+  const event = await started;
+  bot.bus.off('skipped', onSkipped);
+  assert.equal(event.episode.guid, 'second');
+  assert.equal(skipped, false);
+  assert.equal(st.identProc, null);
+});
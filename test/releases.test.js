@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBot, audioServer, makeStation } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+
+function rss(title, guids) {
+  const items = guids.map((guid, i) => `
+    <item>
+      <title>${title} ${guid}</title>
+      <guid>${guid}</guid>
+      <pubDate>${new Date(Date.UTC(2026, 0, 1 + i)).toUTCString()}</pubDate>
+      <enclosure url="http://127.0.0.1/${guid}.mp3" type="audio/mpeg" length="1000"/>
+    </item>`).join('');
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title>${items}</channel></rss>`;
+}
+
+const feedB = { up: false, guids: ['b1', 'b2', 'b3'] };
+const server = await audioServer({
+  '/a.xml': (req, res) => res.writeHead(200, { 'Content-Type': 'application/rss+xml' }).end(rss('A', ['a1', 'a2'])),
+  '/b.xml': (req, res) => {
+    if (!feedB.up) return res.writeHead(503).end();
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' }).end(rss('B', feedB.guids));
+  },
+});
+
+const st = makeStation(bot, [], {
+  voiceChannelId: 'test-releases',
+  newEpisodePolicy: 'queue',
+  feeds: [{ url: server.url('/a.xml') }, { url: server.url('/b.xml') }],
+});
+
+after(() => {
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+  server.close();
+});
+
+async function refresh() {
+  await bot.fetchEpisodes(st, { force: true });
+  await bot.announceNewReleases(st);
+}
+
+test('a feed that is down at first start is seeded, not announced, when it comes back', async () => {
+  await bot.fetchEpisodes(st);
+  bot.restoreState(st);
+  await bot.announceNewReleases(st);
+  assert.deepEqual(st.episodes.map(ep => ep.guid), ['a1', 'a2']);
+  assert.deepEqual(bot.snapshotState(st).seededFeeds, [server.url('/a.xml')]);
+
+  feedB.up = true;
+  await refresh();
+  assert.equal(st.episodes.length, 5);
+  assert.deepEqual(st.upNext, []);
+});
+
+test('episodes published after a feed was seeded are announced', async () => {
+  feedB.guids.push('b4');
+  await refresh();
+  assert.deepEqual(st.upNext, ['b4']);
+});
+
+test('a restart keeps each feed seeded', async () => {
+  st.releasedKeys = new Set();
+  st.seededFeeds = new Set();
+  bot.restoreState(st);
+  feedB.guids.push('b5');
+  await refresh();
+  assert.deepEqual(st.upNext, ['b4', 'b5']);
+});
@@ -0,0 +1,63 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadBot, audioServer, trickle, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+const server = await audioServer({ '/ep.mp3': trickle(2_000_000) });
+
+const created = [];
+function station(id, schedule) {
+  const st = makeStation(bot, [episode('a', server.url('/ep.mp3')), episode('b', server.url('/ep.mp3'))], {
+    voiceChannelId: id,
+    schedules: [{ id: 'evening', cron: '0 20 * * *', timezone: 'UTC', episodeKey: 'b', ...schedule }],
+  });
+  created.push(st);
+  return st;
+}
+
+after(() => {
+  mock.timers.reset();
+  for (const st of created) {
+    bot.stations.delete(st.id);
+    bot.stopStation(st);
+  }
+  server.close();
+});
+
+test('a scheduled episode that is already on air carries on uninterrupted', async () => {
+  const st = station('test-schedule-on-air');
+  st.episodeIndex = 1;
+  st.resumeOffsetMs = 300_000;
+  const playing = new Promise(resolve => bot.bus.once('playing', resolve));
+  await bot.playCurrent(st);
+  await playing;
+  const proc = st.ffmpegProc;
+
+  bot.startScheduledProgramme(st, st.schedules[0]);
+  assert.equal(st.ffmpegProc, proc);
+  assert.equal(st.scheduledReturn, null);
+  assert.ok(st.resumeOffsetMs >= 300_000);
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+});
+
+test('a restart within the scheduled minute does not fire the schedule again', () => {
+  const at = Date.UTC(2026, 0, 5, 20, 0, 10);
+  mock.timers.enable({ apis: ['Date'], now: at });
+  const st = station('test-schedule-restart');
+  st.isPausedDueToEmpty = true; // cue rather than play
+
+  bot.tickSchedules();
+  assert.equal(st.episodes[st.episodeIndex].guid, 'b');
+  const saved = JSON.parse(fs.readFileSync(process.env.STATE_FILE, 'utf8')).stations[st.id];
+  assert.equal(saved.scheduleMarks.evening.fired, Math.floor(at / 60000));
+
+  // Back up 20 seconds later, on episode a
+  mock.timers.tick(20_000);
+  st.scheduleMarks = {};
+  bot.restoreState(st);
+  st.episodeIndex = 0;
+  bot.tickSchedules();
+  assert.equal(st.episodeIndex, 0);
+});
@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBot, audioServer, mp3Bytes, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+const server = await audioServer({
+  '/short.mp3': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 20_000 });
+    res.end(mp3Bytes(20_000));
+  },
+});
+const st = makeStation(bot, [episode('short', server.url('/short.mp3'))]);
+
+after(() => {
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+  server.close();
+});
+
+test('every play from the top counts, including repeats that are not re-announced', async () => {
+  st.playbackMode = 'repeat';
+  let announced = 0;
+  const onStarted = (event) => { if (event.st === st) announced++; };
+  bot.bus.on('episodeStarted', onStarted);
+
+  const finishedTwice = new Promise((resolve) => {
+    let finished = 0;
+    const onFinished = (event) => {
+      if (event.st !== st || ++finished < 2) return;
+      bot.bus.off('episodeFinished', onFinished);
+      resolve();
+    };
+    bot.bus.on('episodeFinished', onFinished);
+  });
+  await bot.playCurrent(st);
+  await finishedTwice;
+  bot.bus.off('episodeStarted', onStarted);
+
+  const entry = bot.episodeStats(st, st.episodes[0]);
+  assert.equal(announced, 1);
+  assert.equal(entry.plays, 2);
+  assert.equal(entry.completions, 2);
+});
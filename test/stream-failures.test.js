@@ -0,0 +1,167 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import http from 'node:http';
+import { loadBot, audioServer, mp3Bytes, makeStation, episode } from './helpers.js';
+
+const { bot } = await loadBot({ CACHE_MAX_MB: '0' });
+
+let slowArrived;
+const slowRequest = new Promise(resolve => { slowArrived = resolve; });
+const server = await audioServer({
+  // Announces far more than it sends, then hangs up
+  '/cut.mp3': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 2_000_000 });
+    res.write(mp3Bytes(20_000), () => res.destroy());
+  },
+  // Complete, though far shorter than the hour the feed lists
+  '/short.mp3': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 20_000 });
+    res.end(mp3Bytes(20_000));
+  },
+  // Headers, then nothing
+  '/slow.mp3': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.flushHeaders();
+    slowArrived();
+  },
+});
+
+const api = http.createServer((req, res) => bot.handleHttp(req, res));
+api.listen(0, '127.0.0.1');
+await once(api, 'listening');
+
+// Retry back-off and the startup watchdog run on setTimeout; the audio itself flows in real time.
+mock.timers.enable({ apis: ['setTimeout'] });
+
+const created = [];
+function station(guid, url, extra) {
+  const st = makeStation(bot, [episode(guid, url, extra), episode('next', server.url('/next.mp3'))], { voiceChannelId: `test-${guid}` });
+  created.push(st);
+  return st;
+}
+
+// Pending retries check the station is still registered, so ticking past them later is harmless
+function retire(st) {
+  bot.stations.delete(st.id);
+  bot.stopStation(st);
+}
+
+after(() => {
+  created.forEach(retire);
+  mock.timers.reset();
+  server.close();
+  api.closeAllConnections();
+  api.close();
+});
+
+function nextEvent(type) {
+  return once(bot.bus, type).then(([event]) => event);
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+const HOUR_MS = 3_600_000;
+const cut = station('cut', server.url('/cut.mp3'), { durationMs: HOUR_MS });
+
+test('a stream that breaks off is retried from a little before where it stopped', async () => {
+  cut.resumeOffsetMs = 600_000;
+  const failed = nextEvent('failed');
+  await bot.playCurrent(cut);
+
+  const event = await failed;
+  assert.match(event.reason, /^input failed: .*Input\/output error$/);
+  assert.equal(event.attempt, 1);
+  const rewound = 600_000 - bot.STREAM_RETRY_REWIND_MS;
+  assert.ok(cut.resumeOffsetMs >= rewound && cut.resumeOffsetMs < rewound + 5000, `resumed at ${cut.resumeOffsetMs}`);
+});
+
+test('retries back off exponentially, then the episode is quarantined', async () => {
+  for (let attempt = 2; attempt <= bot.STREAM_RETRY_LIMIT + 1; attempt++) {
+    const delay = Math.min(bot.STREAM_RETRY_MAX_MS, bot.STREAM_RETRY_BASE_MS * 2 ** (attempt - 2));
+    const hits = server.hits('/cut.mp3');
+    mock.timers.tick(delay - 1);
+    await settle();
+    assert.equal(cut.playLock, false, `retry ${attempt - 1} started early`);
+    assert.equal(server.hits('/cut.mp3'), hits);
+
+    const failed = nextEvent('failed');
+    mock.timers.tick(1);
+    assert.equal((await failed).attempt, attempt);
+    assert.equal(server.hits('/cut.mp3'), hits + 1);
+  }
+
+  assert.equal(cut.streamRetry, null);
+  assert.deepEqual([...cut.quarantine.values()].map(q => q.title), ['Episode cut']);
+  assert.equal(cut.episodes[cut.episodeIndex].guid, 'next');
+});
+
+test('/health lists the quarantined episode', async () => {
+  const res = await fetch(`http://127.0.0.1:${api.address().port}/health`);
+  const report = await res.json();
+  const entry = report.stations.find(s => s.id === cut.id);
+  assert.deepEqual(entry.quarantined.map(q => q.key), [...cut.quarantine.keys()]);
+  assert.equal(entry.quarantined[0].title, 'Episode cut');
+  assert.match(entry.quarantined[0].reason, /Input\/output error/);
+  assert.deepEqual(entry.offAir, []);
+  retire(cut);
+});
+
+test('a piped download that hangs up early counts as a failed attempt', async () => {
+  const st = station('cut-piped', server.url('/cut.mp3'), { durationMs: HOUR_MS });
+  const failed = nextEvent('failed');
+  await bot.playCurrent(st);
+
+  const event = await failed;
+  assert.equal(event.episode.guid, 'cut-piped');
+  assert.equal(event.reason, 'download failed: aborted');
+  assert.equal(event.attempt, 1);
+  retire(st);
+});
+
+test('an episode that arrives complete but shorter than its listed duration just finishes', async () => {
+  const st = station('short', server.url('/short.mp3'), { durationMs: HOUR_MS });
+  let failures = 0;
+  const onFailed = (event) => { if (event.st === st) failures++; };
+  bot.bus.on('failed', onFailed);
+  const finished = nextEvent('episodeFinished');
+  await bot.playCurrent(st);
+
+  assert.equal((await finished).episode.guid, 'short');
+  bot.bus.off('failed', onFailed);
+  assert.equal(failures, 0);
+  assert.equal(st.streamRetry, null);
+  retire(st);
+});
+
+test('a 404 counts as a failed attempt', async () => {
+  const st = station('missing', server.url('/missing.mp3'));
+  const failed = nextEvent('failed');
+  await bot.playCurrent(st);
+
+  const event = await failed;
+  assert.equal(event.episode.guid, 'missing');
+  assert.match(event.reason, /404/);
+  assert.equal(event.attempt, 1);
+  assert.equal(st.resumeOffsetMs, 0);
+  retire(st);
+});
+
+test('a server that never sends the first byte trips the startup watchdog', async () => {
+  const st = station('slow', server.url('/slow.mp3'));
+  const failed = nextEvent('failed');
+  const playing = bot.playCurrent(st);
+  await slowRequest;
+  await settle();
+  assert.equal(st.playLock, true);
+
+  mock.timers.tick(bot.STARTUP_WATCHDOG_MS);
+  const event = await failed;
+  assert.equal(event.reason, 'startup timeout');
+  assert.equal(event.attempt, 1);
+  await playing;
+  assert.equal(st.playLock, false);
+  retire(st);
+});